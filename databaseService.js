@@ -271,26 +271,210 @@ class DatabaseService {
     }
   }
 
+  // Depots
+  async getDepots() {
+    try {
+      const collection = this.db.collection('depots');
+      return await collection.find({}).toArray();
+    } catch (error) {
+      console.error('Error getting depots:', error.message);
+      return [];
+    }
+  }
+
+  async saveDepots(depots) {
+    try {
+      const collection = this.db.collection('depots');
+      await collection.deleteMany({});
+      if (depots.length > 0) {
+        await collection.insertMany(depots);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving depots:', error.message);
+      return false;
+    }
+  }
+
+  // Geocode cache
+  async getGeocodeCache() {
+    try {
+      const collection = this.db.collection('geocodeCache');
+      return await collection.find({}).toArray();
+    } catch (error) {
+      console.error('Error getting geocode cache:', error.message);
+      return [];
+    }
+  }
+
+  async saveGeocodeCache(geocodeCache) {
+    try {
+      const collection = this.db.collection('geocodeCache');
+      await collection.deleteMany({});
+      if (geocodeCache.length > 0) {
+        await collection.insertMany(geocodeCache);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving geocode cache:', error.message);
+      return false;
+    }
+  }
+
+  // Routes
+  async getRoutes() {
+    try {
+      const collection = this.db.collection('routes');
+      return await collection.find({}).toArray();
+    } catch (error) {
+      console.error('Error getting routes:', error.message);
+      return [];
+    }
+  }
+
+  async saveRoutes(routes) {
+    try {
+      const collection = this.db.collection('routes');
+      await collection.deleteMany({});
+      if (routes.length > 0) {
+        await collection.insertMany(routes);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving routes:', error.message);
+      return false;
+    }
+  }
+
+  // Vehicles methods
+  async getVehicles() {
+    try {
+      const collection = this.db.collection('vehicles');
+      return await collection.find({}).toArray();
+    } catch (error) {
+      console.error('Error getting vehicles:', error.message);
+      return [];
+    }
+  }
+
+  async saveVehicles(vehicles) {
+    try {
+      const collection = this.db.collection('vehicles');
+      await collection.deleteMany({});
+      if (vehicles.length > 0) {
+        await collection.insertMany(vehicles);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving vehicles:', error.message);
+      return false;
+    }
+  }
+
+  // Zones methods
+  async getZones() {
+    try {
+      const collection = this.db.collection('zones');
+      return await collection.find({}).toArray();
+    } catch (error) {
+      console.error('Error getting zones:', error.message);
+      return [];
+    }
+  }
+
+  async saveZones(zones) {
+    try {
+      const collection = this.db.collection('zones');
+      await collection.deleteMany({});
+      if (zones.length > 0) {
+        await collection.insertMany(zones);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving zones:', error.message);
+      return false;
+    }
+  }
+
+  // Products methods
+  async getProducts() {
+    try {
+      const collection = this.db.collection('products');
+      return await collection.find({}).toArray();
+    } catch (error) {
+      console.error('Error getting products:', error.message);
+      return [];
+    }
+  }
+
+  async saveProducts(products) {
+    try {
+      const collection = this.db.collection('products');
+      await collection.deleteMany({});
+      if (products.length > 0) {
+        await collection.insertMany(products);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving products:', error.message);
+      return false;
+    }
+  }
+
+  // Customer merge methods
+  async getCustomerMerges() {
+    try {
+      const collection = this.db.collection('customerMerges');
+      return await collection.find({}).toArray();
+    } catch (error) {
+      console.error('Error getting customer merges:', error.message);
+      return [];
+    }
+  }
+
+  async saveCustomerMerges(customerMerges) {
+    try {
+      const collection = this.db.collection('customerMerges');
+      await collection.deleteMany({});
+      if (customerMerges.length > 0) {
+        await collection.insertMany(customerMerges);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error saving customer merges:', error.message);
+      return false;
+    }
+  }
+
   // Utility methods
-  async getNextId(collectionName) {
+  // Reserves `count` consecutive IDs from the counters collection and returns the first.
+  // The counter is raised to `floor` (the highest ID already in use) in the same atomic
+  // update, so a new or lagging counter cannot hand out an existing ID.
+  async getNextId(collectionName, { floor = 0, count = 1 } = {}) {
     try {
       const collection = this.db.collection('counters');
-      const result = await collection.findOneAndUpdate(
+      const counter = await collection.findOneAndUpdate(
         { _id: collectionName },
-        { $inc: { sequence_value: 1 } },
+        [{
+          $set: {
+            sequence_value: {
+              $add: [{ $max: [{ $ifNull: ['$sequence_value', 0] }, floor] }, count]
+            }
+          }
+        }],
         { upsert: true, returnDocument: 'after' }
       );
-      return result.value.sequence_value;
+      return counter.sequence_value - count + 1;
     } catch (error) {
       console.error('Error getting next ID:', error.message);
-      return Date.now();
+      throw error;
     }
   }
 
   async getCollectionStats() {
     try {
       const stats = {};
-      const collections = ['orders', 'customers', 'dailySales', 'weeklySales', 'predictions', 'reports', 'notifications'];
+      const collections = ['orders', 'customers', 'dailySales', 'weeklySales', 'predictions', 'reports', 'notifications', 'depots', 'geocodeCache', 'routes', 'vehicles', 'zones', 'products', 'customerMerges'];
       
       for (const collectionName of collections) {
         const collection = this.db.collection(collectionName);
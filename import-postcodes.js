@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const { readPostcodeCentroids } = require('./services/geocoders');
+
+// Usage: node import-postcodes.js <ONSPD csv> [areas] [output]
+// e.g.   node import-postcodes.js ONSPD_FEB_2025_UK.csv BH,PO,SO
+const [sourceFile, areaList = '', outputArg] = process.argv.slice(2);
+const outputFile = outputArg || process.env.POSTCODE_CENTROIDS_FILE || path.join(__dirname, 'postcode-centroids.csv');
+const areas = areaList.split(',').map(area => area.trim()).filter(Boolean);
+
+(async () => {
+  try {
+    if (!sourceFile || !fs.existsSync(sourceFile)) {
+      console.error('❌ Postcode source file not found:', sourceFile);
+      process.exit(1);
+    }
+
+    console.log('🔄 Importing postcode centroids from:', sourceFile);
+    console.log('📮 Areas:', areas.length > 0 ? areas.join(', ') : 'all');
+
+    const output = fs.createWriteStream(outputFile);
+    output.write('postcode,lat,lng\n');
+
+    const count = await readPostcodeCentroids(sourceFile, (postcode, { lat, lng }) => {
+      output.write(`${postcode},${lat},${lng}\n`);
+    }, { areas });
+
+    await new Promise(resolve => output.end(resolve));
+
+    console.log(`✅ Imported ${count} postcode centroids to:`, outputFile);
+  } catch (error) {
+    console.error('❌ Postcode import failed:', error.message);
+    process.exit(1);
+  }
+})();
@@ -7,6 +7,35 @@ const fs = require('fs');
 const path = require('path');
 const PDFDocument = require('pdfkit');
 const DatabaseService = require('./databaseService');
+const {
+  optimizeRoute,
+  optimizeRouteWithTimeWindows,
+  sequenceDistance,
+  planVehicleRoutes,
+  CAPACITY_DIMENSIONS
+} = require('./services/routeOptimizer');
+const { MapboxGeocoder, OfflinePostcodeGeocoder, GeocoderChain } = require('./services/geocoders');
+const {
+  MapboxMatrixProvider,
+  OsrmMatrixProvider,
+  HaversineMatrixProvider,
+  DistanceMatrixChain
+} = require('./services/distanceMatrix');
+const { EXPORT_FORMATS, exportRoutes } = require('./services/routeExport');
+const { stopNavigation, multiStopDirectionLinks } = require('./services/navigationLinks');
+const { parseUkPostcode, normalizeAddressFields } = require('./services/ukAddress');
+const { normalizePrefix, isValidPrefix, isValidPolygon, findZone } = require('./services/zones');
+const {
+  SIGNATURE_TYPES,
+  PHOTO_TYPES,
+  decodeDataUrl,
+  LocalProofStorage,
+  GridFsProofStorage,
+  signatureSvgPaths
+} = require('./services/proofOfDelivery');
+const { parseCsv, readXlsx, excelSerialToDate } = require('./services/spreadsheet');
+const { normalizePhone, scoreCustomerPair, findDuplicateCandidates } = require('./services/customerMatching');
+const { FileSequenceStore, highestId } = require('./services/idSequence');
 require('dotenv').config();
 
 const app = express();
@@ -23,6 +52,70 @@ const io = socketIo(server, {
 // Mapbox token configuration
 const MAPBOX_TOKEN = process.env.MAPBOX_TOKEN;
 
+// Geocoding providers, tried in GEOCODER_PROVIDERS order. The offline provider reads
+// postcode centroids (e.g. an ONS Postcode Directory extract) from POSTCODE_CENTROIDS_FILE.
+const geocoderProviders = {
+  mapbox: new MapboxGeocoder(MAPBOX_TOKEN),
+  offline: new OfflinePostcodeGeocoder(
+    process.env.POSTCODE_CENTROIDS_FILE || path.join(__dirname, 'postcode-centroids.csv'),
+    { areas: (process.env.POSTCODE_AREAS || '').split(',').map(area => area.trim()).filter(Boolean) }
+  )
+};
+const geocoder = new GeocoderChain(
+  (process.env.GEOCODER_PROVIDERS || 'mapbox,offline')
+    .split(',')
+    .map(name => geocoderProviders[name.trim()])
+    .filter(Boolean)
+);
+
+// Scheduling defaults for delivery windows
+const DEFAULT_DEPARTURE_TIME = '08:00';
+const DEFAULT_AVERAGE_SPEED_KMH = 30;
+const DEFAULT_SERVICE_MINUTES = 5;
+
+// Road distances and driving times, tried in DISTANCE_MATRIX_PROVIDERS order. OSRM_URL points at
+// an OSRM server (e.g. a local osrm-backend container); haversine x DETOUR_FACTOR always works offline.
+// Mapbox only answers routes that fit in MAPBOX_MATRIX_MAX_REQUESTS calls; bigger ones fall through.
+const DISTANCE_MATRIX_TIMEOUT_MS = parseInt(process.env.DISTANCE_MATRIX_TIMEOUT_MS) || 10000;
+const distanceMatrixProviders = {
+  osrm: new OsrmMatrixProvider(process.env.OSRM_URL, { timeoutMs: DISTANCE_MATRIX_TIMEOUT_MS }),
+  mapbox: new MapboxMatrixProvider(MAPBOX_TOKEN, {
+    timeoutMs: DISTANCE_MATRIX_TIMEOUT_MS,
+    maxRequests: parseInt(process.env.MAPBOX_MATRIX_MAX_REQUESTS) || 9
+  }),
+  haversine: new HaversineMatrixProvider({
+    detourFactor: parseFloat(process.env.DETOUR_FACTOR) || 1.3,
+    averageSpeedKmh: DEFAULT_AVERAGE_SPEED_KMH
+  })
+};
+const routingEngine = new DistanceMatrixChain(
+  (process.env.DISTANCE_MATRIX_PROVIDERS || 'osrm,mapbox,haversine')
+    .split(',')
+    .map(name => distanceMatrixProviders[name.trim()])
+    .filter(Boolean)
+);
+
+// Fallback start point until a depot is configured through /api/depots
+const DEFAULT_DEPOT = {
+  id: null,
+  name: 'Poole Depot',
+  address: '',
+  postcode: 'BH13 7EX',
+  coordinates: { lng: -1.9876, lat: 50.7128 },
+  openingHours: null
+};
+
+// Cost model defaults for vehicles without their own figures. Emissions are kg CO2e per
+// litre or kWh (UK government conversion factors); prices are rough pump/tariff averages.
+const FUEL_DEFAULTS = {
+  diesel: { mpg: 35, fuelPrice: 1.45, emissionsFactor: 2.51 },
+  petrol: { mpg: 32, fuelPrice: 1.38, emissionsFactor: 2.10 },
+  electric: { milesPerKwh: 3, fuelPrice: 0.25, emissionsFactor: 0.207 }
+};
+const DEFAULT_DRIVER_HOURLY_RATE = 12.21;
+const LITRES_PER_GALLON = 4.54609;
+const KM_PER_MILE = 1.609344;
+
 // Security middleware
 app.use((req, res, next) => {
   // Security headers
@@ -47,6 +140,9 @@ app.use(cors({
     : ["http://localhost:3000", "http://localhost:3001", "http://localhost:3002"],
   credentials: true
 }));
+// Proof-of-delivery uploads and order imports carry files, so they get larger body limits
+app.use('/api/orders/:id/proof-of-delivery', express.json({ limit: process.env.POD_BODY_LIMIT || '30mb' }));
+app.use('/api/orders/import', express.json({ limit: process.env.IMPORT_BODY_LIMIT || '20mb' }));
 app.use(express.json());
 
 // Database service initialization
@@ -58,6 +154,12 @@ const dataFile = process.env.NODE_ENV === 'production'
   ? path.join(__dirname, 'data_production.json')
   : path.join(__dirname, 'data.json');
 
+// ID sequences for file-based storage; with MongoDB the counters collection is used instead
+const idCounterFile = process.env.NODE_ENV === 'production'
+  ? path.join(__dirname, 'counters_production.json')
+  : path.join(__dirname, 'counters.json');
+const fileSequences = new FileSequenceStore(idCounterFile);
+
 console.log('📁 Using data file:', dataFile);
 console.log('🌍 Environment:', process.env.NODE_ENV || 'development');
 console.log('🗄️ MongoDB URI:', process.env.MONGODB_URI ? 'Configured' : 'Not configured');
@@ -85,6 +187,13 @@ async function loadData() {
       const predictions = await dbService.getPredictions();
       const reports = await dbService.getReports();
       const notifications = await dbService.getNotifications();
+      const depots = await dbService.getDepots();
+      const geocodeCache = await dbService.getGeocodeCache();
+      const routes = await dbService.getRoutes();
+      const vehicles = await dbService.getVehicles();
+      const zones = await dbService.getZones();
+      const products = await dbService.getProducts();
+      const customerMerges = await dbService.getCustomerMerges();
       
       console.log('📊 Loaded data from MongoDB:', {
         orders: orders.length,
@@ -93,10 +202,17 @@ async function loadData() {
         weeklySales: weeklySales.length,
         predictions: predictions.length,
         reports: reports.length,
-        notifications: notifications.length
+        notifications: notifications.length,
+        depots: depots.length,
+        geocodeCache: geocodeCache.length,
+        routes: routes.length,
+        vehicles: vehicles.length,
+        zones: zones.length,
+        products: products.length,
+        customerMerges: customerMerges.length
       });
       
-      return { orders, customers, dailySales, weeklySales, predictions, reports, notifications };
+      return { orders, customers, dailySales, weeklySales, predictions, reports, notifications, depots, geocodeCache, routes, vehicles, zones, products, customerMerges };
     } else {
       // Fallback to file-based storage
       if (fs.existsSync(dataFile)) {
@@ -108,6 +224,13 @@ async function loadData() {
         let predictions = data.predictions || [];
         let reports = data.reports || [];
         let notifications = data.notifications || [];
+        let depots = data.depots || [];
+        let geocodeCache = data.geocodeCache || [];
+        let routes = data.routes || [];
+        let vehicles = data.vehicles || [];
+        let zones = data.zones || [];
+        let products = data.products || [];
+        let customerMerges = data.customerMerges || [];
         
         console.log('📊 Loaded data from file:', {
           orders: orders.length,
@@ -116,7 +239,14 @@ async function loadData() {
           weeklySales: weeklySales.length,
           predictions: predictions.length,
           reports: reports.length,
-          notifications: notifications.length
+          notifications: notifications.length,
+          depots: depots.length,
+          geocodeCache: geocodeCache.length,
+          routes: routes.length,
+          vehicles: vehicles.length,
+          zones: zones.length,
+          products: products.length,
+          customerMerges: customerMerges.length
         });
         
         // Add createdAt to orders that don't have it
@@ -129,11 +259,11 @@ async function loadData() {
         });
         
         if (updated) {
-          saveData({ orders, customers, dailySales, weeklySales, predictions, reports, notifications });
+          saveData({ orders, customers, dailySales, weeklySales, predictions, reports, notifications, depots, geocodeCache, routes, vehicles, zones, products, customerMerges });
           console.log('📅 Added createdAt to orders');
         }
         
-        return { orders, customers, dailySales, weeklySales, predictions, reports, notifications };
+        return { orders, customers, dailySales, weeklySales, predictions, reports, notifications, depots, geocodeCache, routes, vehicles, zones, products, customerMerges };
       }
     }
   } catch (error) {
@@ -148,7 +278,14 @@ async function loadData() {
     weeklySales: [],
     predictions: [],
     reports: [],
-    notifications: []
+    notifications: [],
+    depots: [],
+    geocodeCache: [],
+    routes: [],
+    vehicles: [],
+    zones: [],
+    products: [],
+    customerMerges: []
   };
 }
 
@@ -185,6 +322,8 @@ function recalculateAnalytics(orders) {
     const deliveredOrders = dayOrders.filter(order => order.status === 'Delivered').length;
     const pendingOrders = dayOrders.filter(order => order.status === 'Pending').length;
     const inProcessOrders = dayOrders.filter(order => order.status === 'In Process').length;
+    const failedOrders = dayOrders.filter(order => order.status === 'Failed').length;
+    const failedAttempts = summarizeFailedAttempts(dayOrders);
     
     // Calculate payment breakdown
     const paymentBreakdown = { Balance: 0, Cash: 0, Card: 0, Bank: 0 };
@@ -208,19 +347,25 @@ function recalculateAnalytics(orders) {
     const topShop = Object.keys(shopRevenue).reduce((a, b) => 
       shopRevenue[a] > shopRevenue[b] ? a : b, 'N/A');
     const topShopRevenue = shopRevenue[topShop] || 0;
+    const productBreakdown = summarizeProductSales(dayOrders);
     
     return {
-      id: parseInt(date.replace(/-/g, '')),
+      id: dailySaleId(date),
       date: date,
       totalRevenue: totalRevenue,
       totalOrders: totalOrders,
       deliveredOrders: deliveredOrders,
       pendingOrders: pendingOrders,
       inProcessOrders: inProcessOrders,
+      failedOrders: failedOrders,
+      failedAttempts: failedAttempts.total,
+      failureReasons: failedAttempts.reasons,
       averageOrderValue: totalOrders > 0 ? totalRevenue / totalOrders : 0,
       topShop: topShop,
       topShopRevenue: topShopRevenue,
-      paymentBreakdown: paymentBreakdown
+      paymentBreakdown: paymentBreakdown,
+      productBreakdown: productBreakdown,
+      categoryBreakdown: summarizeCategorySales(productBreakdown)
     };
   });
   
@@ -232,6 +377,8 @@ function recalculateAnalytics(orders) {
     const deliveredOrders = weekOrders.filter(order => order.status === 'Delivered').length;
     const pendingOrders = weekOrders.filter(order => order.status === 'Pending').length;
     const inProcessOrders = weekOrders.filter(order => order.status === 'In Process').length;
+    const failedOrders = weekOrders.filter(order => order.status === 'Failed').length;
+    const failedAttempts = summarizeFailedAttempts(weekOrders);
     
     // Calculate payment breakdown
     const paymentBreakdown = { Balance: 0, Cash: 0, Card: 0, Bank: 0 };
@@ -255,19 +402,25 @@ function recalculateAnalytics(orders) {
     const topShop = Object.keys(shopRevenue).reduce((a, b) => 
       shopRevenue[a] > shopRevenue[b] ? a : b, 'N/A');
     const topShopRevenue = shopRevenue[topShop] || 0;
+    const productBreakdown = summarizeProductSales(weekOrders);
     
     return {
-      id: parseInt(week.replace('W', '')),
+      id: weeklySaleId(week),
       week: week,
       totalRevenue: totalRevenue,
       totalOrders: totalOrders,
       deliveredOrders: deliveredOrders,
       pendingOrders: pendingOrders,
       inProcessOrders: inProcessOrders,
+      failedOrders: failedOrders,
+      failedAttempts: failedAttempts.total,
+      failureReasons: failedAttempts.reasons,
       averageOrderValue: totalOrders > 0 ? totalRevenue / totalOrders : 0,
       topShop: topShop,
       topShopRevenue: topShopRevenue,
-      paymentBreakdown: paymentBreakdown
+      paymentBreakdown: paymentBreakdown,
+      productBreakdown: productBreakdown,
+      categoryBreakdown: summarizeCategorySales(productBreakdown)
     };
   });
   
@@ -291,44 +444,103 @@ function recalculateAnalytics(orders) {
     totalOrders: latestWeekly.totalOrders || 0,
     averageOrderValue: latestWeekly.averageOrderValue || 0,
     topShop: latestWeekly.topShop || 'N/A',
-    paymentBreakdown: latestWeekly.paymentBreakdown || { Balance: 0, Cash: 0, Card: 0, Bank: 0 }
+    paymentBreakdown: latestWeekly.paymentBreakdown || { Balance: 0, Cash: 0, Card: 0, Bank: 0 },
+    productBreakdown: latestWeekly.productBreakdown || [],
+    categoryBreakdown: latestWeekly.categoryBreakdown || []
   }];
   
-  // Generate notifications
-  const notifications = [];
-  const latestOrder = orders[orders.length - 1];
-  if (latestOrder && latestOrder.status === 'Delivered') {
-    notifications.push({
-      id: 1,
-      type: "order_update",
-      message: `Order #${latestOrder.id} delivered successfully`,
-      timestamp: latestOrder.deliveredAt || new Date().toISOString(),
-      read: false
-    });
-  }
-  
   console.log('✅ Analytics recalculation completed');
   console.log('📊 Daily Sales:', dailySales.length, 'entries');
   console.log('📊 Weekly Sales:', weeklySales.length, 'entries');
   console.log('📊 Total Revenue:', orders.reduce((sum, order) => sum + parseFloat(order.totalAmount || 0), 0));
   console.log('📊 Total Orders:', orders.length);
   
-  return { dailySales, weeklySales, predictions, reports, notifications };
+  return { dailySales, weeklySales, predictions, reports };
+}
+
+// Failed delivery attempts across the orders, with a count per reason code
+function summarizeFailedAttempts(orderList) {
+  const reasons = {};
+  let total = 0;
+  
+  orderList.forEach(order => {
+    (order.deliveryAttempts || []).forEach(attempt => {
+      reasons[attempt.reasonCode] = (reasons[attempt.reasonCode] || 0) + 1;
+      total++;
+    });
+  });
+  
+  return { total, reasons };
+}
+
+// Quantity and revenue per product across the orders' line items, best sellers first.
+// Lines without a catalogue product (older free-text items) are grouped by name.
+function summarizeProductSales(orderList) {
+  const productSales = {};
+  
+  orderList.forEach(order => {
+    (Array.isArray(order.items) ? order.items : []).forEach(item => {
+      const key = item.productId ? `product-${item.productId}` : `name-${(item.name || 'Unknown').toLowerCase()}`;
+      const quantity = parseFloat(item.quantity || 0);
+      const netAmount = item.netAmount !== undefined ? item.netAmount : quantity * parseFloat(item.unitPrice !== undefined ? item.unitPrice : item.price || 0);
+      const revenue = item.lineTotal !== undefined ? item.lineTotal : netAmount;
+      
+      if (!productSales[key]) {
+        productSales[key] = {
+          productId: item.productId || null,
+          sku: item.sku || null,
+          name: item.name || 'Unknown',
+          category: item.category || 'Uncategorised',
+          quantity: 0,
+          netRevenue: 0,
+          revenue: 0,
+          orders: 0
+        };
+      }
+      productSales[key].quantity += quantity;
+      productSales[key].netRevenue += netAmount;
+      productSales[key].revenue += revenue;
+      productSales[key].orders += 1;
+    });
+  });
+  
+  return Object.values(productSales)
+    .map(product => ({
+      ...product,
+      netRevenue: Math.round(product.netRevenue * 100) / 100,
+      revenue: Math.round(product.revenue * 100) / 100
+    }))
+    .sort((a, b) => b.revenue - a.revenue);
+}
+
+function summarizeCategorySales(productBreakdown) {
+  const categorySales = {};
+  
+  productBreakdown.forEach(product => {
+    if (!categorySales[product.category]) {
+      categorySales[product.category] = { category: product.category, quantity: 0, revenue: 0 };
+    }
+    categorySales[product.category].quantity += product.quantity;
+    categorySales[product.category].revenue += product.revenue;
+  });
+  
+  return Object.values(categorySales)
+    .map(category => ({ ...category, revenue: Math.round(category.revenue * 100) / 100 }))
+    .sort((a, b) => b.revenue - a.revenue);
 }
 
 // Function to force recalculation and save analytics data
 async function forceRecalculateAndSaveAnalytics() {
   console.log('🔄 Force recalculating and saving analytics data...');
   const data = await loadData();
-  const { dailySales, weeklySales, predictions, reports, notifications } = recalculateAnalytics(data.orders);
+  const { dailySales, weeklySales, predictions, reports } = recalculateAnalytics(data.orders);
   
   const updatedData = {
     ...data,
     dailySales,
     weeklySales,
     predictions,
-    reports,
-    notifications
+    reports
   };
   
   await saveData(updatedData);
@@ -345,6 +557,26 @@ function getWeekNumber(date) {
   return `${d.getUTCFullYear()}-W${Math.ceil((((d - yearStart) / 86400000) + 1) / 7)}`;
 }
 
+// Sales rows are keyed by their day or week, so their ids come from the key instead of a
+// sequence: "2025-08-02" -> 20250802, "2025-W31" -> 202531
+function dailySaleId(date) {
+  return parseInt(date.replace(/-/g, ''));
+}
+
+function weeklySaleId(week) {
+  const [year, weekNumber] = week.split('-W');
+  return parseInt(year) * 100 + parseInt(weekNumber);
+}
+
+// Reserves `count` IDs for a collection and returns the first. Every new record takes its id
+// from here: the counter is bumped atomically before the record exists, so concurrent
+// requests cannot pick the same id and ids of deleted records are never reused.
+// `existing` is the in-memory collection, which keeps the counter above ids already in use.
+async function nextId(name, existing, count = 1) {
+  const options = { floor: highestId(existing), count };
+  return isConnected ? dbService.getNextId(name, options) : fileSequences.next(name, options);
+}
+
 async function saveData(data) {
   try {
     if (isConnected) {
@@ -356,6 +588,13 @@ async function saveData(data) {
       await dbService.savePredictions(data.predictions || []);
       await dbService.saveReports(data.reports || []);
       await dbService.saveNotifications(data.notifications || []);
+      await dbService.saveDepots(data.depots || []);
+      await dbService.saveGeocodeCache(data.geocodeCache || []);
+      await dbService.saveRoutes(data.routes || []);
+      await dbService.saveVehicles(data.vehicles || []);
+      await dbService.saveZones(data.zones || []);
+      await dbService.saveProducts(data.products || []);
+      await dbService.saveCustomerMerges(data.customerMerges || []);
       console.log('✅ Data saved to MongoDB successfully');
     } else {
       // Fallback to file-based storage
@@ -390,7 +629,12 @@ async function saveData(data) {
 }
 
 // Load initial data
-let { orders, customers, dailySales, weeklySales, predictions, reports, notifications } = { orders: [], customers: [], dailySales: [], weeklySales: [], predictions: [], reports: [], notifications: [] };
+let { orders, customers, dailySales, weeklySales, predictions, reports, notifications, depots, geocodeCache, routes, vehicles, zones, products, customerMerges } = { orders: [], customers: [], dailySales: [], weeklySales: [], predictions: [], reports: [], notifications: [], depots: [], geocodeCache: [], routes: [], vehicles: [], zones: [], products: [], customerMerges: [] };
+
+// Snapshot of every in-memory collection, passed to saveData after changes
+function getAppData() {
+  return { orders, customers, dailySales, weeklySales, predictions, reports, notifications, depots, geocodeCache, routes, vehicles, zones, products, customerMerges };
+}
 
 // Initialize data loading
 (async () => {
@@ -402,6 +646,13 @@ let { orders, customers, dailySales, weeklySales, predictions, reports, notifica
   predictions = data.predictions;
   reports = data.reports;
   notifications = data.notifications;
+  depots = data.depots;
+  geocodeCache = data.geocodeCache;
+  routes = data.routes;
+  vehicles = data.vehicles;
+  zones = data.zones;
+  products = data.products;
+  customerMerges = data.customerMerges;
   console.log('🚀 Application initialized with data');
 })();
 
@@ -411,7 +662,85 @@ app.get('/', (req, res) => {
 });
 
 // Orders API
-app.get('/api/orders', (req, res) => {
+// Order lifecycle: Pending -> In Process -> Out for Delivery -> Delivered, with Cancelled
+// before dispatch, Failed/Returned from the road and Returned after delivery.
+// A failed drop goes back out on a later run or back into the queue.
+const ORDER_STATUSES = ['Pending', 'In Process', 'Out for Delivery', 'Delivered', 'Failed', 'Returned', 'Cancelled'];
+const ORDER_STATUS_TRANSITIONS = {
+  'Pending': ['In Process', 'Cancelled'],
+  'In Process': ['Pending', 'Out for Delivery', 'Cancelled'],
+  'Out for Delivery': ['Delivered', 'Failed', 'Returned'],
+  'Failed': ['Out for Delivery', 'In Process', 'Returned', 'Cancelled'],
+  'Delivered': ['Returned'],
+  'Returned': [],
+  'Cancelled': []
+};
+
+// Fields clients may set on an order; everything else is managed by the server
+const ORDER_FIELDS = [
+  'shopName', 'customerName', 'customerPhone', 'customerAddress', 'customerPostcode',
+  'totalAmount', 'paymentMethod', 'deliveryNotes', 'deliveryWindow', 'items',
+  'zoneId', 'deliveryDate', 'weight', 'notes', 'customerId'
+];
+
+// Why a drop could not be made; recorded on each failed delivery attempt
+const FAILED_ATTEMPT_REASONS = ['shop-closed', 'customer-absent', 'refused', 'wrong-address', 'no-access', 'payment-issue', 'other'];
+
+function pickOrderFields(body) {
+  const fields = {};
+  ORDER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+}
+
+// Returns { status, message } when the order cannot move to `status`, otherwise null
+function validateStatusChange(order, status) {
+  if (!ORDER_STATUSES.includes(status)) {
+    return { status: 400, message: `status must be one of: ${ORDER_STATUSES.join(', ')}` };
+  }
+  const allowed = ORDER_STATUS_TRANSITIONS[order.status] || ORDER_STATUSES;
+  if (!allowed.includes(status)) {
+    return { status: 409, message: `Order cannot move from ${order.status} to ${status}` };
+  }
+  return null;
+}
+
+// Move an order to a new status and record who did it and why
+function applyOrderStatus(order, status, { actor = 'system', reason = '', timestamp = new Date().toISOString() } = {}) {
+  order.statusHistory = [
+    ...(order.statusHistory || []),
+    { status, from: order.status || null, timestamp, actor, reason }
+  ];
+  order.status = status;
+  order.statusUpdatedAt = timestamp;
+  
+  if (status === 'Delivered') {
+    order.deliveredAt = order.deliveredAt || timestamp;
+  }
+}
+
+// Stored notification for a delivered order, newest first like POST /api/notifications
+async function notifyOrderDelivered(order) {
+  notifications.unshift({
+    id: await nextId('notifications', notifications),
+    type: 'order_update',
+    orderId: order.id,
+    message: `Order #${order.id} delivered successfully`,
+    timestamp: order.deliveredAt || new Date().toISOString(),
+    read: false
+  });
+}
+
+// Query filters of GET /api/orders, also accepted by POST /api/orders/bulk
+const ORDER_FILTERS = [
+  'search', 'status', 'paymentMethod', 'minAmount', 'maxAmount', 'startDate', 'endDate',
+  'shopName', 'customerName', 'customerPhone', 'zoneId', 'deliveryDate'
+];
+
+function filterOrders(filters) {
   const { 
     search, 
     status, 
@@ -422,8 +751,10 @@ app.get('/api/orders', (req, res) => {
     endDate,
     shopName,
     customerName,
-    customerPhone
-  } = req.query;
+    customerPhone,
+    zoneId,
+    deliveryDate
+  } = filters;
 
   let filteredOrders = [...orders];
 
@@ -507,28 +838,72 @@ app.get('/api/orders', (req, res) => {
     );
   }
 
-  res.json(filteredOrders);
+  // Delivery zone and day filters
+  if (zoneId) {
+    filteredOrders = filteredOrders.filter(order => order.zoneId === parseInt(zoneId));
+  }
+  if (deliveryDate) {
+    filteredOrders = filteredOrders.filter(order => order.deliveryDate === deliveryDate);
+  }
+
+  return filteredOrders;
+}
+
+app.get('/api/orders', (req, res) => {
+  res.json(filterOrders(req.query));
 });
 
 app.post('/api/orders', async (req, res) => {
   try {
-    // Find the next available ID
-    const maxId = Math.max(...orders.map(order => order.id), 0);
+    const deliveryWindowError = validateDeliveryWindow(req.body.deliveryWindow);
+    if (deliveryWindowError) {
+      return res.status(400).json({ message: deliveryWindowError });
+    }
+    
+    // A missing postcode is rejected even in warn mode: the order could never be routed
+    const address = checkAddressInput(req, ORDER_ADDRESS_FIELDS);
+    const addressErrors = { ...address.errors };
+    if (!address.values.customerPostcode) {
+      addressErrors.customerPostcode = 'customerPostcode is required';
+    }
+    if (Object.keys(addressErrors).length > 0) {
+      return res.status(400).json({ message: 'Invalid address details', errors: addressErrors });
+    }
+    
+    const referenceError = validateOrderZone(req.body) || validateOrderCustomer(req.body);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+    
+    // Line items set the order total; orders without items keep a hand-entered totalAmount
+    const pricing = req.body.items !== undefined ? priceOrderItems(req.body.items) : checkOrderTotal(req.body.totalAmount);
+    if (pricing.error) {
+      return res.status(400).json({ message: pricing.error });
+    }
+    
+    const orderId = await nextId('orders', orders);
     const newOrder = {
-      id: maxId + 1,
-      ...req.body,
-      basketNo: maxId + 1,
-      deliveryNo: `D${String(maxId + 1).padStart(3, '0')}`,
-      status: 'Pending',
+      id: orderId,
+      ...pickOrderFields(req.body),
+      ...address.values,
+      ...pricing,
+      basketNo: orderId,
+      deliveryNo: `D${String(orderId).padStart(3, '0')}`,
       deliveryNotes: '',
       createdAt: new Date().toISOString(),
       deliveredAt: null,
       paymentMethod: req.body.paymentMethod || ''
     };
+    if (newOrder.customerId !== undefined) {
+      newOrder.customerId = parseInt(newOrder.customerId);
+    }
+    applyOrderStatus(newOrder, 'Pending', { actor: req.body.actor || 'system', reason: 'Order created', timestamp: newOrder.createdAt });
+    const { created: customerCreated } = await linkOrderCustomer(newOrder);
+    await tagOrderZone(newOrder, req.body);
     orders.push(newOrder);
     
     // Recalculate analytics data after adding new order
-    const { dailySales: newDailySales, weeklySales: newWeeklySales, predictions: newPredictions, reports: newReports, notifications: newNotifications } = recalculateAnalytics(orders);
+    const { dailySales: newDailySales, weeklySales: newWeeklySales, predictions: newPredictions, reports: newReports } = recalculateAnalytics(orders);
     
     // Update global variables with recalculated data
     dailySales.length = 0;
@@ -539,17 +914,19 @@ app.post('/api/orders', async (req, res) => {
     predictions.push(...newPredictions);
     reports.length = 0;
     reports.push(...newReports);
-    notifications.length = 0;
-    notifications.push(...newNotifications);
     
     // Save to MongoDB if connected, otherwise fallback to file
-    await saveData({ orders, customers, dailySales, weeklySales, predictions, reports, notifications });
+    await saveData(getAppData());
     
     // Broadcast new order to all connected clients
     io.emit('order-updated', { orderId: newOrder.id, newOrder });
     
     console.log('✅ New order created and saved to MongoDB:', newOrder.id);
-    res.status(201).json(newOrder);
+    const response = { ...newOrder, customerCreated };
+    if (address.warnings) {
+      response.addressWarnings = address.warnings;
+    }
+    res.status(201).json(response);
   } catch (error) {
     console.error('❌ Error creating order:', error);
     res.status(500).json({ message: 'Error creating order', error: error.message });
@@ -573,27 +950,227 @@ app.put('/api/orders/:id', async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
     
+    const deliveryWindowError = validateDeliveryWindow(req.body.deliveryWindow);
+    if (deliveryWindowError) {
+      return res.status(400).json({ message: deliveryWindowError });
+    }
+    
+    const address = checkAddressInput(req, ORDER_ADDRESS_FIELDS);
+    const addressErrors = { ...address.errors };
+    if (address.values.customerPostcode === '') {
+      addressErrors.customerPostcode = 'customerPostcode cannot be cleared';
+    }
+    if (Object.keys(addressErrors).length > 0) {
+      return res.status(400).json({ message: 'Invalid address details', errors: addressErrors });
+    }
+    
+    const referenceError = validateOrderZone(req.body) || validateOrderCustomer(req.body);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+    
+    const pricing = req.body.items !== undefined ? priceOrderItems(req.body.items) : checkOrderTotal(req.body.totalAmount);
+    if (pricing.error) {
+      return res.status(400).json({ message: pricing.error });
+    }
+    if (req.body.items === undefined && orders[orderIndex].subtotal !== undefined && req.body.totalAmount !== undefined &&
+        parseFloat(req.body.totalAmount) !== parseFloat(orders[orderIndex].totalAmount)) {
+      return res.status(400).json({ message: 'totalAmount is calculated from the order items; update items instead' });
+    }
+    
+    const { status, actor = 'system', reason = '' } = req.body;
+    const statusChanged = status !== undefined && status !== orders[orderIndex].status;
+    if (statusChanged) {
+      const statusError = validateStatusChange(orders[orderIndex], status);
+      if (statusError) {
+        return res.status(statusError.status).json({
+          message: statusError.message,
+          allowedStatuses: ORDER_STATUS_TRANSITIONS[orders[orderIndex].status] || []
+        });
+      }
+    }
+    
     console.log('📋 Original order:', orders[orderIndex]);
     
     // Update order with new fields
     const updatedOrder = { 
       ...orders[orderIndex], 
-      ...req.body,
-      // Add delivery notes and delivered time if status is Delivered
-      ...(req.body.status === 'Delivered' && {
-        deliveryNotes: req.body.deliveryNotes || '',
-        deliveredAt: req.body.deliveredAt || new Date().toISOString()
-      }),
+      ...pickOrderFields(req.body),
+      ...address.values,
+      ...pricing,
       // Ensure payment method is always a string
-      paymentMethod: req.body.paymentMethod || ''
+      paymentMethod: (req.body.paymentMethod !== undefined ? req.body.paymentMethod : orders[orderIndex].paymentMethod) || ''
     };
     
+    if (req.body.customerId !== undefined) {
+      updatedOrder.customerId = parseInt(req.body.customerId);
+    }
+    
+    if (statusChanged) {
+      if (status === 'Delivered') {
+        updatedOrder.deliveryNotes = req.body.deliveryNotes || '';
+        updatedOrder.deliveredAt = req.body.deliveredAt || new Date().toISOString();
+      }
+      applyOrderStatus(updatedOrder, status, { actor, reason });
+    }
+    
+    // Re-zone when the delivery postcode moves or a zone is chosen by hand
+    const postcodeChanged = address.values.customerPostcode !== undefined &&
+      normalizePostcode(address.values.customerPostcode) !== normalizePostcode(orders[orderIndex].customerPostcode);
+    if (postcodeChanged || req.body.zoneId !== undefined) {
+      await tagOrderZone(updatedOrder, req.body);
+    }
+    
     console.log('✅ Updated order:', updatedOrder);
     
-    orders[orderIndex] = updatedOrder;
+    // Other requests can run while zoning awaits, so find the order again before writing it back
+    const currentIndex = orders.findIndex(order => order.id === id);
+    if (currentIndex === -1) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    orders[currentIndex] = updatedOrder;
+    if (statusChanged && status === 'Delivered') {
+      await notifyOrderDelivered(updatedOrder);
+    }
     
     // Recalculate analytics data after order update
-    const { dailySales: newDailySales, weeklySales: newWeeklySales, predictions: newPredictions, reports: newReports, notifications: newNotifications } = recalculateAnalytics(orders);
+    const { dailySales: newDailySales, weeklySales: newWeeklySales, predictions: newPredictions, reports: newReports } = recalculateAnalytics(orders);
+    
+    // Update global variables with recalculated data
+    dailySales.length = 0;
+    dailySales.push(...newDailySales);
+    weeklySales.length = 0;
+    weeklySales.push(...newWeeklySales);
+    predictions.length = 0;
+    predictions.push(...newPredictions);
+    reports.length = 0;
+    reports.push(...newReports);
+    
+    // Save to MongoDB if connected, otherwise fallback to file
+    await saveData(getAppData());
+    
+    // Broadcast order update to all connected clients
+    io.emit('order-updated', { orderId: id, updatedOrder });
+    console.log('📡 Broadcasted order update to all clients');
+    
+    console.log('💾 Data saved successfully to MongoDB with recalculated analytics');
+    res.json(address.warnings ? { ...updatedOrder, addressWarnings: address.warnings } : updatedOrder);
+  } catch (error) {
+    console.error('❌ Error updating order:', error);
+    res.status(500).json({ message: 'Error updating order', error: error.message });
+  }
+});
+
+// Record a failed delivery attempt and move the order to its zone's next delivery day.
+// The order comes off the current route and is picked up again by the next optimisation.
+app.post('/api/orders/:id/failed-attempt', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const order = orders.find(order => order.id === id);
+    
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    const { reasonCode, note = '', photo = null, actor = 'system' } = req.body;
+    if (!FAILED_ATTEMPT_REASONS.includes(reasonCode)) {
+      return res.status(400).json({ message: `reasonCode must be one of: ${FAILED_ATTEMPT_REASONS.join(', ')}` });
+    }
+    if (photo !== null && typeof photo !== 'string') {
+      return res.status(400).json({ message: 'photo must be a reference string (URL or file id)' });
+    }
+    
+    const statusError = validateStatusChange(order, 'Failed');
+    if (statusError) {
+      return res.status(statusError.status).json({
+        message: statusError.message,
+        allowedStatuses: ORDER_STATUS_TRANSITIONS[order.status] || []
+      });
+    }
+    
+    const timestamp = new Date().toISOString();
+    const attempt = {
+      attempt: (order.attemptCount || 0) + 1,
+      reasonCode,
+      note,
+      photo,
+      actor,
+      timestamp,
+      routeId: order.routeId || null,
+      deliveryDate: order.deliveryDate || null
+    };
+    
+    order.deliveryAttempts = [...(order.deliveryAttempts || []), attempt];
+    order.attemptCount = attempt.attempt;
+    order.lastFailedReason = reasonCode;
+    applyOrderStatus(order, 'Failed', { actor, reason: note ? `${reasonCode}: ${note}` : reasonCode, timestamp });
+    
+    // Next day the zone is served after both today and the missed delivery date
+    const zone = order.zoneId ? zones.find(zone => zone.id === order.zoneId) : await findOrderZone(order);
+    const today = currentDate();
+    const after = order.deliveryDate && order.deliveryDate > today ? order.deliveryDate : today;
+    order.zoneId = zone ? zone.id : null;
+    order.zoneName = zone ? zone.name : null;
+    order.deliveryDate = zone ? getNextDeliveryDate(zone, { after }) : null;
+    
+    // Off the route it failed on so it can be planned onto the next run
+    const failedRoute = routes.find(route => route.id === order.routeId);
+    if (failedRoute && EDITABLE_ROUTE_STATUSES.includes(failedRoute.status)) {
+      removeOrderFromRoute(failedRoute, id);
+    }
+    order.routeId = null;
+    order.routeOrder = null;
+    
+    console.log(`🚫 Order #${id} failed attempt ${attempt.attempt} (${reasonCode}), rescheduled to ${order.deliveryDate || 'unscheduled'}`);
+    
+    // Recalculate analytics data after the failed attempt
+    const { dailySales: newDailySales, weeklySales: newWeeklySales, predictions: newPredictions, reports: newReports } = recalculateAnalytics(orders);
+    
+    // Update global variables with recalculated data
+    dailySales.length = 0;
+    dailySales.push(...newDailySales);
+    weeklySales.length = 0;
+    weeklySales.push(...newWeeklySales);
+    predictions.length = 0;
+    predictions.push(...newPredictions);
+    reports.length = 0;
+    reports.push(...newReports);
+    
+    await saveData(getAppData());
+    
+    io.emit('order-updated', { orderId: id, updatedOrder: order });
+    
+    res.json({ order, attempt, rescheduledFor: order.deliveryDate });
+  } catch (error) {
+    console.error('❌ Error recording failed attempt:', error);
+    res.status(500).json({ message: 'Error recording failed attempt', error: error.message });
+  }
+});
+
+app.delete('/api/orders/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const orderIndex = orders.findIndex(order => order.id === id);
+    
+    if (orderIndex === -1) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    const routeLock = routeLockMessage(orders[orderIndex]);
+    if (routeLock) {
+      return res.status(409).json({ message: routeLock });
+    }
+    
+    const [deletedOrder] = orders.splice(orderIndex, 1);
+    
+    // Drop the order from the route that is still being planned
+    const plannedRoute = routes.find(route => route.id === deletedOrder.routeId);
+    if (plannedRoute) {
+      removeOrderFromRoute(plannedRoute, id);
+    }
+    
+    // Recalculate analytics data after deleting order
+    const { dailySales: newDailySales, weeklySales: newWeeklySales, predictions: newPredictions, reports: newReports } = recalculateAnalytics(orders);
     
     // Update global variables with recalculated data
     dailySales.length = 0;
@@ -604,310 +1181,3625 @@ app.put('/api/orders/:id', async (req, res) => {
     predictions.push(...newPredictions);
     reports.length = 0;
     reports.push(...newReports);
-    notifications.length = 0;
-    notifications.push(...newNotifications);
     
     // Save to MongoDB if connected, otherwise fallback to file
-    await saveData({ orders, customers, dailySales, weeklySales, predictions, reports, notifications });
+    await saveData(getAppData());
+    
+    // Broadcast order deletion to all connected clients
+    io.emit('order-updated', { orderId: id, deleted: true });
+    console.log('📡 Broadcasted order deletion to all clients');
+    
+    console.log('✅ Order deleted and saved to MongoDB:', id);
+    res.json({ message: 'Order deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting order:', error);
+    res.status(500).json({ message: 'Error deleting order', error: error.message });
+  }
+});
+
+// Bulk order operations
+// One action for many orders, picked by `ids` or by a `filter` of GET /api/orders query
+// filters. Each order succeeds or fails on its own; analytics, saving and the socket event
+// happen once for the batch.
+const BULK_ORDER_ACTIONS = ['status', 'paymentMethod', 'assignRoute', 'delete'];
+
+function selectBulkOrders({ ids, filter }) {
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return { error: 'ids must be a non-empty array' };
+    }
+    return { orderIds: [...new Set(ids.map(id => parseInt(id)))] };
+  }
+  
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return { error: 'Either ids or filter is required' };
+  }
+  const unknown = Object.keys(filter).filter(key => !ORDER_FILTERS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown filters: ${unknown.join(', ')}. Filters: ${ORDER_FILTERS.join(', ')}` };
+  }
+  // An empty filter would match every order
+  const query = Object.fromEntries(Object.entries(filter)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => [key, String(value)]));
+  if (Object.keys(query).length === 0) {
+    return { error: 'filter must set at least one value' };
+  }
+  return { orderIds: filterOrders(query).map(order => order.id) };
+}
+
+function validateBulkAction(body) {
+  const { action, status, paymentMethod, routeId } = body;
+  if (!BULK_ORDER_ACTIONS.includes(action)) {
+    return `action must be one of: ${BULK_ORDER_ACTIONS.join(', ')}`;
+  }
+  if (action === 'status' && !ORDER_STATUSES.includes(status)) {
+    return `status must be one of: ${ORDER_STATUSES.join(', ')}`;
+  }
+  if (action === 'paymentMethod' && typeof paymentMethod !== 'string') {
+    return 'paymentMethod must be a string';
+  }
+  if (action === 'assignRoute' && routeId === undefined) {
+    return 'routeId is required (null takes the orders off their route)';
+  }
+  if (action === 'assignRoute' && routeId !== null) {
+    const route = routes.find(route => route.id === parseInt(routeId));
+    if (!route) {
+      return 'Route not found';
+    }
+    if (!EDITABLE_ROUTE_STATUSES.includes(route.status)) {
+      return `Orders cannot be added to a route that is ${route.status}`;
+    }
+  }
+  return null;
+}
+
+// Apply the action to one order. Returns an error message, or null on success.
+function applyBulkAction(order, body, { actor, reason, touchedRoutes }) {
+  const { action, status, paymentMethod, routeId } = body;
+  
+  if (action === 'status') {
+    if (order.status === status) {
+      return null;
+    }
+    const statusError = validateStatusChange(order, status);
+    if (statusError) {
+      return statusError.message;
+    }
+    applyOrderStatus(order, status, { actor, reason });
+    return null;
+  }
+  
+  if (action === 'paymentMethod') {
+    order.paymentMethod = paymentMethod;
+    return null;
+  }
+  
+  const routeLock = routeLockMessage(order);
+  if (routeLock) {
+    return routeLock;
+  }
+  
+  const currentRoute = routes.find(route => route.id === order.routeId);
+  if (action === 'delete') {
+    orders.splice(orders.indexOf(order), 1);
+    if (currentRoute) {
+      removeOrderFromRoute(currentRoute, order.id);
+      touchedRoutes.add(currentRoute);
+    }
+    return null;
+  }
+  
+  // assignRoute: routeId null takes the order off its route
+  const targetRoute = routeId === null ? null : routes.find(route => route.id === parseInt(routeId));
+  if (targetRoute && currentRoute === targetRoute) {
+    return null;
+  }
+  if (targetRoute && !['Pending', 'In Process', 'Failed'].includes(order.status)) {
+    return `${order.status} orders cannot be routed`;
+  }
+  if (currentRoute) {
+    removeOrderFromRoute(currentRoute, order.id);
+    touchedRoutes.add(currentRoute);
+  }
+  order.routeId = null;
+  order.routeOrder = null;
+  
+  if (targetRoute) {
+    const [stop] = buildPlanStops([order.id]).stops;
+    targetRoute.stops.push({ ...stop, routeOrder: targetRoute.stops.length + 1 });
+    targetRoute.drivingMinutes = null;
+    order.routeId = targetRoute.id;
+    order.routeOrder = targetRoute.stops.length;
+    touchedRoutes.add(targetRoute);
+  }
+  return null;
+}
+
+app.post('/api/orders/bulk', async (req, res) => {
+  try {
+    const { action, actor = 'system', reason = '' } = req.body;
+    
+    const actionError = validateBulkAction(req.body);
+    if (actionError) {
+      return res.status(actionError === 'Route not found' ? 404 : 400).json({ message: actionError });
+    }
+    
+    const selection = selectBulkOrders(req.body);
+    if (selection.error) {
+      return res.status(400).json({ message: selection.error });
+    }
+    
+    const touchedRoutes = new Set();
+    const deliveredOrders = [];
+    const results = selection.orderIds.map(id => {
+      const order = orders.find(order => order.id === id);
+      if (!order) {
+        return { id, success: false, error: 'Order not found' };
+      }
+      const wasDelivered = order.status === 'Delivered';
+      const error = applyBulkAction(order, req.body, { actor, reason, touchedRoutes });
+      if (!error && !wasDelivered && order.status === 'Delivered') {
+        deliveredOrders.push(order);
+      }
+      return error ? { id, success: false, error } : { id, success: true };
+    });
+    for (const order of deliveredOrders) {
+      await notifyOrderDelivered(order);
+    }
+    
+    // Renumber the stops left on every route the batch changed
+    touchedRoutes.forEach(route => {
+      route.totals = calculateRouteTotals(route);
+      route.updatedAt = new Date().toISOString();
+      assignOrdersToRoute(route);
+    });
+    
+    const updatedOrderIds = results.filter(result => result.success).map(result => result.id);
+    if (updatedOrderIds.length > 0) {
+      // Recalculate analytics data once for the whole batch
+      const { dailySales: newDailySales, weeklySales: newWeeklySales, predictions: newPredictions, reports: newReports } = recalculateAnalytics(orders);
+      
+      // Update global variables with recalculated data
+      dailySales.length = 0;
+      dailySales.push(...newDailySales);
+      weeklySales.length = 0;
+      weeklySales.push(...newWeeklySales);
+      predictions.length = 0;
+      predictions.push(...newPredictions);
+      reports.length = 0;
+      reports.push(...newReports);
+      
+      await saveData(getAppData());
+      
+      io.emit('orders-bulk-updated', { action, orderIds: updatedOrderIds, deleted: action === 'delete' });
+    }
+    
+    console.log(`📦 Bulk ${action}: ${updatedOrderIds.length} of ${results.length} orders updated`);
+    res.json({
+      action,
+      matched: results.length,
+      succeeded: updatedOrderIds.length,
+      failed: results.length - updatedOrderIds.length,
+      results
+    });
+  } catch (error) {
+    console.error('❌ Error in bulk order operation:', error);
+    res.status(500).json({ message: 'Error in bulk order operation', error: error.message });
+  }
+});
+
+// Bulk order import
+// Orders come in as CSV text or a base64 XLSX workbook with a mapping of order fields to
+// column headers, e.g. { "shopName": "Shop", "customerPostcode": "Post Code" }. Without a
+// mapping, headers named like the fields are used. dryRun validates and previews only.
+const IMPORT_FORMATS = ['csv', 'xlsx'];
+const IMPORT_FIELDS = [
+  'shopName', 'customerName', 'customerPhone', 'customerAddress', 'customerPostcode',
+  'totalAmount', 'paymentMethod', 'deliveryNotes', 'deliveryDate', 'weight', 'notes',
+  'deliveryWindowStart', 'deliveryWindowEnd', 'sku', 'quantity'
+];
+const IMPORT_REQUIRED_FIELDS = ['shopName', 'customerPostcode'];
+const IMPORT_PREVIEW_ROWS = 20;
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Column index for every mapped field, or { error } when the mapping does not fit the headers
+function resolveImportMapping(headers, mapping) {
+  const columns = {};
+  const headerIndex = header => headers.findIndex(candidate => normalizeHeader(candidate) === normalizeHeader(header));
+  
+  if (mapping === undefined || mapping === null) {
+    IMPORT_FIELDS.forEach(field => {
+      const index = headerIndex(field);
+      if (index !== -1) {
+        columns[field] = index;
+      }
+    });
+  } else {
+    if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return { error: 'mapping must be an object of order field to column header' };
+    }
+    for (const [field, header] of Object.entries(mapping)) {
+      if (!IMPORT_FIELDS.includes(field)) {
+        return { error: `Unknown import field "${field}". Fields: ${IMPORT_FIELDS.join(', ')}` };
+      }
+      const index = headerIndex(header);
+      if (index === -1) {
+        return { error: `Column "${header}" mapped to ${field} is not in the file` };
+      }
+      columns[field] = index;
+    }
+  }
+  
+  const missing = IMPORT_REQUIRED_FIELDS.filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    return { error: `No column mapped to ${missing.join(', ')}` };
+  }
+  return { columns };
+}
+
+function readImportRows({ format = 'csv', data, sheet }) {
+  if (typeof data !== 'string' || !data.trim()) {
+    return { error: 'data is required (CSV text or base64 XLSX)' };
+  }
+  try {
+    if (format === 'xlsx') {
+      return { rows: readXlsx(Buffer.from(data.replace(/^data:[^,]*;base64,/, ''), 'base64'), { sheet }) };
+    }
+    return { rows: parseCsv(data) };
+  } catch (error) {
+    return { error: `Could not read ${format.toUpperCase()} file: ${error.message}` };
+  }
+}
+
+// Turn one spreadsheet row into order input. Returns { input, errors, warnings }.
+function buildImportedOrder(cells, columns, { format, addressMode }) {
+  const raw = {};
+  Object.entries(columns).forEach(([field, index]) => {
+    if (cells[index] !== undefined && cells[index] !== '') {
+      raw[field] = cells[index];
+    }
+  });
+  
+  const errors = {};
+  IMPORT_REQUIRED_FIELDS.forEach(field => {
+    if (!raw[field]) {
+      errors[field] = `${field} is required`;
+    }
+  });
+  
+  const input = pickOrderFields(raw);
+  
+  // Spreadsheets hand dates over as day serials and numbers as text
+  if (input.deliveryDate !== undefined) {
+    if (format === 'xlsx' && /^\d+(\.\d+)?$/.test(input.deliveryDate)) {
+      input.deliveryDate = excelSerialToDate(input.deliveryDate);
+    }
+    if (!DATE_PATTERN.test(input.deliveryDate)) {
+      errors.deliveryDate = 'deliveryDate must be YYYY-MM-DD';
+    }
+  }
+  ['totalAmount', 'weight'].forEach(field => {
+    if (input[field] !== undefined) {
+      const value = parseFloat(String(input[field]).replace(/^£/, ''));
+      if (!Number.isFinite(value) || value < 0) {
+        errors[field] = `${field} must be a non-negative number`;
+      } else {
+        input[field] = field === 'totalAmount' ? value.toFixed(2) : value;
+      }
+    }
+  });
+  
+  if (raw.deliveryWindowStart || raw.deliveryWindowEnd) {
+    input.deliveryWindow = { start: raw.deliveryWindowStart, end: raw.deliveryWindowEnd };
+    const windowError = validateDeliveryWindow(input.deliveryWindow);
+    if (windowError) {
+      errors.deliveryWindow = windowError;
+    }
+  }
+  
+  let pricing = {};
+  if (raw.sku) {
+    const quantity = raw.quantity !== undefined && raw.quantity !== '' ? Number(raw.quantity) : 1;
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      errors.quantity = 'quantity must be a number above 0';
+      pricing = {};
+    } else {
+      pricing = priceOrderItems([{ sku: raw.sku, quantity }]);
+    }
+    if (pricing.error) {
+      errors.sku = pricing.error.replace(/^items\[0\][:.]? ?/, '');
+      pricing = {};
+    }
+  }
+  
+  const address = checkAddressValues(input, ORDER_ADDRESS_FIELDS, addressMode);
+  Object.assign(errors, address.errors || {});
+  
+  return {
+    input: { ...input, ...address.values, ...pricing },
+    errors: Object.keys(errors).length > 0 ? errors : null,
+    warnings: address.warnings
+  };
+}
+
+// Validate every row and work out the customer behind each order. Customers created for
+// earlier rows are matched by later ones, so one shop listed twice gets one record. New
+// customers have no id until the import is committed.
+function planOrderImport(body, addressMode) {
+  const read = readImportRows(body);
+  if (read.error) {
+    return { error: read.error };
+  }
+  
+  const [headers = [], ...dataRows] = read.rows;
+  const mapping = resolveImportMapping(headers, body.mapping);
+  if (mapping.error) {
+    return { error: mapping.error };
+  }
+  
+  const rows = [];
+  const rowErrors = [];
+  const rowWarnings = [];
+  const newCustomers = [];
+  
+  dataRows.forEach((cells, index) => {
+    const rowNumber = index + 2;
+    if (!cells.some(cell => cell !== '')) {
+      return;
+    }
+    
+    const row = buildImportedOrder(cells, mapping.columns, { format: body.format, addressMode });
+    if (row.errors) {
+      rowErrors.push({ row: rowNumber, errors: row.errors });
+      return;
+    }
+    if (row.warnings) {
+      rowWarnings.push({ row: rowNumber, warnings: row.warnings });
+    }
+    
+    let customer = findCustomerForOrder(row.input) || findCustomerForOrder(row.input, newCustomers);
+    const customerCreated = !customer || newCustomers.includes(customer);
+    if (!customer) {
+      customer = newCustomerFromOrder(row.input, null);
+      newCustomers.push(customer);
+    }
+    rows.push({ row: rowNumber, input: row.input, customer, customerCreated });
+  });
+  
+  return {
+    columns: Object.fromEntries(Object.entries(mapping.columns).map(([field, index]) => [field, headers[index]])),
+    rows,
+    rowErrors,
+    rowWarnings,
+    newCustomers
+  };
+}
+
+app.post('/api/orders/import', async (req, res) => {
+  try {
+    const { format = 'csv', dryRun = false, actor = 'import' } = req.body;
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+    
+    const plan = planOrderImport({ ...req.body, format }, addressValidationMode(req));
+    if (plan.error) {
+      return res.status(400).json({ message: plan.error });
+    }
+    
+    const report = {
+      dryRun: Boolean(dryRun),
+      columns: plan.columns,
+      totalRows: plan.rows.length + plan.rowErrors.length,
+      validRows: plan.rows.length,
+      errorRows: plan.rowErrors.length,
+      errors: plan.rowErrors,
+      warnings: plan.rowWarnings,
+      customersMatched: new Set(plan.rows.filter(row => !row.customerCreated).map(row => row.customer.id)).size,
+      customersCreated: plan.newCustomers.length
+    };
+    
+    if (report.totalRows === 0) {
+      return res.status(400).json({ message: 'The file has no order rows', ...report });
+    }
+    if (dryRun) {
+      return res.json({
+        ...report,
+        preview: plan.rows.slice(0, IMPORT_PREVIEW_ROWS).map(row => ({
+          row: row.row,
+          order: row.input,
+          customerId: row.customer.id,
+          customerCreated: row.customerCreated
+        }))
+      });
+    }
+    // All or nothing: a partly imported file is harder to fix than a rejected one
+    if (plan.rowErrors.length > 0) {
+      return res.status(400).json({ message: `${plan.rowErrors.length} rows have errors; nothing was imported`, ...report });
+    }
+    
+    const createdAt = new Date().toISOString();
+    if (plan.newCustomers.length > 0) {
+      const firstCustomerId = await nextId('customers', customers, plan.newCustomers.length);
+      plan.newCustomers.forEach((customer, index) => {
+        customer.id = firstCustomerId + index;
+      });
+    }
+    let orderId = await nextId('orders', orders, plan.rows.length);
+    const importedOrders = [];
+    
+    for (const row of plan.rows) {
+      const newOrder = {
+        id: orderId,
+        ...row.input,
+        basketNo: orderId,
+        deliveryNo: `D${String(orderId).padStart(3, '0')}`,
+        deliveryNotes: row.input.deliveryNotes || '',
+        createdAt,
+        deliveredAt: null,
+        paymentMethod: row.input.paymentMethod || '',
+        customerId: row.customer.id,
+        importedFromRow: row.row
+      };
+      applyOrderStatus(newOrder, 'Pending', { actor, reason: 'Imported', timestamp: createdAt });
+      await tagOrderZone(newOrder, row.input);
+      importedOrders.push(newOrder);
+      orderId++;
+    }
+    
+    customers.push(...plan.newCustomers);
+    orders.push(...importedOrders);
+    
+    // One analytics pass for the whole file
+    const { dailySales: newDailySales, weeklySales: newWeeklySales, predictions: newPredictions, reports: newReports } = recalculateAnalytics(orders);
+    
+    // Update global variables with recalculated data
+    dailySales.length = 0;
+    dailySales.push(...newDailySales);
+    weeklySales.length = 0;
+    weeklySales.push(...newWeeklySales);
+    predictions.length = 0;
+    predictions.push(...newPredictions);
+    reports.length = 0;
+    reports.push(...newReports);
+    
+    await saveData(getAppData());
+    
+    io.emit('orders-imported', { orderIds: importedOrders.map(order => order.id), count: importedOrders.length });
+    console.log(`📥 Imported ${importedOrders.length} orders, ${plan.newCustomers.length} new customers`);
+    
+    res.status(201).json({ ...report, orderIds: importedOrders.map(order => order.id) });
+  } catch (error) {
+    console.error('❌ Error importing orders:', error);
+    res.status(500).json({ message: 'Error importing orders', error: error.message });
+  }
+});
+
+// Proof of delivery API
+// Evidence is posted as JSON with base64 data URLs and the files go to GridFS when MongoDB
+// is connected, otherwise to POD_UPLOAD_DIR. POD_STORAGE=local|gridfs forces one of them.
+const POD_MAX_FILE_BYTES = (parseInt(process.env.POD_MAX_FILE_KB) || 5120) * 1024;
+const POD_MAX_PHOTOS = 5;
+const POD_UPLOAD_DIR = process.env.POD_UPLOAD_DIR || path.join(__dirname, 'uploads', 'proof-of-delivery');
+const localProofStorage = new LocalProofStorage(POD_UPLOAD_DIR);
+let gridFsProofStorage = null;
+
+function getProofStorage(name = process.env.POD_STORAGE || (isConnected ? 'gridfs' : 'local')) {
+  if (name === 'gridfs' && isConnected) {
+    gridFsProofStorage = gridFsProofStorage || new GridFsProofStorage(dbService.db);
+    return gridFsProofStorage;
+  }
+  return localProofStorage;
+}
+
+function proofFileUrl(orderId, fileId) {
+  return `/api/orders/${orderId}/proof-of-delivery/files/${fileId}`;
+}
+
+// Decode and check every file before anything is stored. Returns { signature, photos } or { errors }.
+function decodeProofFiles({ signature, photos = [] }) {
+  const errors = {};
+  let decodedSignature = null;
+  
+  if (signature !== undefined && signature !== null) {
+    decodedSignature = decodeDataUrl(signature, SIGNATURE_TYPES, POD_MAX_FILE_BYTES);
+    if (decodedSignature.error) {
+      errors.signature = `signature ${decodedSignature.error}`;
+    }
+  }
+  
+  if (!Array.isArray(photos)) {
+    errors.photos = 'photos must be an array of data URLs';
+    return { errors };
+  }
+  if (photos.length > POD_MAX_PHOTOS) {
+    errors.photos = `At most ${POD_MAX_PHOTOS} photos can be attached`;
+  }
+  const decodedPhotos = photos.map((photo, index) => {
+    const decoded = decodeDataUrl(photo, PHOTO_TYPES, POD_MAX_FILE_BYTES);
+    if (decoded.error) {
+      errors[`photos[${index}]`] = `photo ${decoded.error}`;
+    }
+    return decoded;
+  });
+  
+  if (!decodedSignature && decodedPhotos.length === 0) {
+    errors.signature = 'A signature or at least one photo is required';
+  }
+  
+  return Object.keys(errors).length > 0 ? { errors } : { signature: decodedSignature, photos: decodedPhotos };
+}
+
+async function storeProofFile(orderId, storage, { buffer, contentType }) {
+  const fileId = await storage.save(buffer, contentType);
+  return { fileId, contentType, size: buffer.length, storage: storage.name, url: proofFileUrl(orderId, fileId) };
+}
+
+function proofFiles(proof) {
+  return proof ? [proof.signature, ...(proof.photos || [])].filter(Boolean) : [];
+}
+
+// Upload proof of delivery. An order that is still out for delivery becomes Delivered;
+// uploading again for a delivered order replaces the earlier evidence.
+app.post('/api/orders/:id/proof-of-delivery', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const order = orders.find(order => order.id === id);
+    
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    const { recipientName, coordinates = null, deliveryNotes, actor = 'driver' } = req.body;
+    if (!recipientName || !String(recipientName).trim()) {
+      return res.status(400).json({ message: 'recipientName is required' });
+    }
+    if (coordinates !== null && !isValidCoordinates(coordinates)) {
+      return res.status(400).json({ message: 'coordinates must be { lat, lng } numbers' });
+    }
+    
+    if (order.status !== 'Delivered') {
+      const statusError = validateStatusChange(order, 'Delivered');
+      if (statusError) {
+        return res.status(statusError.status).json({
+          message: statusError.message,
+          allowedStatuses: ORDER_STATUS_TRANSITIONS[order.status] || []
+        });
+      }
+    }
+    
+    const files = decodeProofFiles(req.body);
+    if (files.errors) {
+      return res.status(400).json({ message: 'Invalid proof of delivery', errors: files.errors });
+    }
+    
+    const storage = getProofStorage();
+    const timestamp = new Date().toISOString();
+    const previousFiles = proofFiles(order.proofOfDelivery);
+    
+    order.proofOfDelivery = {
+      recipientName: String(recipientName).trim(),
+      coordinates: coordinates ? { lat: coordinates.lat, lng: coordinates.lng } : null,
+      signature: files.signature ? await storeProofFile(id, storage, files.signature) : null,
+      photos: await Promise.all(files.photos.map(photo => storeProofFile(id, storage, photo))),
+      capturedAt: timestamp,
+      capturedBy: actor
+    };
+    
+    if (deliveryNotes !== undefined) {
+      order.deliveryNotes = deliveryNotes;
+    }
+    if (order.status !== 'Delivered') {
+      order.deliveredAt = timestamp;
+      applyOrderStatus(order, 'Delivered', { actor, reason: 'Proof of delivery captured', timestamp });
+      await notifyOrderDelivered(order);
+    }
+    
+    await Promise.all(previousFiles.map(file =>
+      getProofStorage(file.storage).remove(file.fileId).catch(error =>
+        console.error(`❌ Could not remove proof file ${file.fileId}:`, error.message))
+    ));
+    
+    console.log(`📸 Proof of delivery for order #${id}: ${order.proofOfDelivery.photos.length} photos, signature ${order.proofOfDelivery.signature ? 'yes' : 'no'} (${storage.name})`);
+    
+    // Recalculate analytics data after the delivery
+    const { dailySales: newDailySales, weeklySales: newWeeklySales, predictions: newPredictions, reports: newReports } = recalculateAnalytics(orders);
+    
+    // Update global variables with recalculated data
+    dailySales.length = 0;
+    dailySales.push(...newDailySales);
+    weeklySales.length = 0;
+    weeklySales.push(...newWeeklySales);
+    predictions.length = 0;
+    predictions.push(...newPredictions);
+    reports.length = 0;
+    reports.push(...newReports);
+    
+    await saveData(getAppData());
+    
+    io.emit('order-updated', { orderId: id, updatedOrder: order });
+    
+    res.status(201).json(order);
+  } catch (error) {
+    console.error('❌ Error saving proof of delivery:', error);
+    res.status(500).json({ message: 'Error saving proof of delivery', error: error.message });
+  }
+});
+
+app.get('/api/orders/:id/proof-of-delivery/files/:fileId', async (req, res) => {
+  try {
+    const order = orders.find(order => order.id === parseInt(req.params.id));
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    const file = proofFiles(order.proofOfDelivery).find(file => file.fileId === req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ message: 'Proof of delivery file not found' });
+    }
+    
+    const buffer = await getProofStorage(file.storage).read(file.fileId);
+    res.setHeader('Content-Type', file.contentType);
+    // Signatures may be SVG; never let the browser run anything embedded in them
+    res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+    res.send(buffer);
+  } catch (error) {
+    console.error('❌ Error reading proof of delivery file:', error);
+    res.status(500).json({ message: 'Error reading proof of delivery file', error: error.message });
+  }
+});
+
+// Draw the signature inside a box, scaled to fit and keeping its aspect ratio
+function drawSignature(doc, signature, buffer, { x, y, width, height }) {
+  if (signature.contentType === 'image/png') {
+    doc.image(buffer, x, y, { fit: [width, height] });
+    return;
+  }
+  
+  const svg = signatureSvgPaths(buffer.toString('utf8'));
+  if (!svg) {
+    doc.fontSize(9).font('Helvetica-Oblique').text('Signature could not be displayed', x, y + height / 2);
+    return;
+  }
+  
+  const [minX, minY, svgWidth, svgHeight] = svg.viewBox;
+  const scale = Math.min(width / svgWidth, height / svgHeight);
+  doc.save();
+  doc.translate(x, y).scale(scale).translate(-minX, -minY);
+  doc.lineWidth(1.5 / scale).strokeColor('black');
+  svg.paths.forEach(pathData => doc.path(pathData).stroke());
+  doc.restore();
+}
+
+// Per-order delivery receipt with the captured proof of delivery
+app.get('/api/orders/:id/receipt', async (req, res) => {
+  try {
+    const order = orders.find(order => order.id === parseInt(req.params.id));
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    const proof = order.proofOfDelivery;
+    if (!proof) {
+      return res.status(409).json({ message: 'Order has no proof of delivery yet' });
+    }
+    
+    // Load the evidence first so a missing file is reported instead of a half-written PDF
+    const signatureBuffer = proof.signature ? await getProofStorage(proof.signature.storage).read(proof.signature.fileId) : null;
+    const photoBuffers = await Promise.all(proof.photos.map(photo => getProofStorage(photo.storage).read(photo.fileId)));
+    
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 40, bottom: 40, left: 40, right: 40 }
+    });
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="delivery-receipt-${order.id}.pdf"`);
+    
+    doc.pipe(res);
+    
+    // ===== HEADER SECTION =====
+    doc.rect(40, 40, 515, 1).fill();
+    doc.fontSize(28).font('Helvetica-Bold').text('MAGICSELL', { align: 'center' });
+    doc.fontSize(16).font('Helvetica').text('DELIVERY RECEIPT', { align: 'center' });
+    doc.rect(40, 85, 515, 1).fill();
+    
+    // ===== ORDER INFO SECTION =====
+    const infoRows = [
+      ['ORDER:', `#${order.id}${order.basketNo ? ` (basket ${order.basketNo})` : ''}`],
+      ['SHOP:', order.shopName || 'N/A'],
+      ['CUSTOMER:', order.customerName || 'N/A'],
+      ['ADDRESS:', [order.customerAddress, order.customerPostcode].filter(Boolean).join(', ') || 'N/A'],
+      ['DELIVERED:', new Date(order.deliveredAt || proof.capturedAt).toLocaleString('en-GB', { timeZone: 'Europe/London' })],
+      ['RECEIVED BY:', proof.recipientName],
+      ['LOCATION:', proof.coordinates ? `${proof.coordinates.lat.toFixed(5)}, ${proof.coordinates.lng.toFixed(5)}` : 'Not recorded'],
+      ['PAYMENT:', order.paymentMethod || 'Not Set']
+    ];
+    
+    let infoY = 110;
+    infoRows.forEach(([label, value]) => {
+      doc.fontSize(10).font('Helvetica-Bold').text(label, 50, infoY);
+      doc.fontSize(10).font('Helvetica').text(value, 150, infoY, { width: 395 });
+      infoY += 15;
+    });
+    
+    // ===== ITEMS SECTION =====
+    let currentY = infoY + 20;
+    doc.fontSize(14).font('Helvetica-Bold').text('ITEMS', 50, currentY);
+    currentY += 20;
+    
+    const items = Array.isArray(order.items) ? order.items : [];
+    doc.fontSize(9).font('Helvetica');
+    items.forEach(item => {
+      const lineTotal = item.lineTotal !== undefined ? item.lineTotal : (item.unitPrice || item.price || 0) * (item.quantity || 1);
+      doc.text(`${item.quantity || 1} x ${item.name || item.sku || 'Item'}`, 60, currentY, { width: 380 });
+      doc.text(`£${Number(lineTotal).toFixed(2)}`, 450, currentY, { width: 90, align: 'right' });
+      currentY += 14;
+    });
+    
+    doc.rect(50, currentY + 2, 495, 0.5).fill();
+    doc.fontSize(10).font('Helvetica-Bold');
+    doc.text('TOTAL', 60, currentY + 8);
+    doc.text(`£${parseFloat(order.totalAmount || 0).toFixed(2)}`, 450, currentY + 8, { width: 90, align: 'right' });
+    currentY += 30;
+    
+    if (order.deliveryNotes) {
+      doc.fontSize(10).font('Helvetica-Bold').text('DELIVERY NOTES:', 50, currentY);
+      doc.fontSize(10).font('Helvetica').text(order.deliveryNotes, 150, currentY, { width: 395 });
+      currentY = doc.y + 15;
+    }
+    
+    // ===== SIGNATURE SECTION =====
+    doc.fontSize(14).font('Helvetica-Bold').text('SIGNATURE', 50, currentY);
+    currentY += 20;
+    doc.rect(50, currentY, 250, 100).stroke();
+    if (proof.signature) {
+      drawSignature(doc, proof.signature, signatureBuffer, { x: 55, y: currentY + 5, width: 240, height: 90 });
+    } else {
+      doc.fontSize(9).font('Helvetica-Oblique').text('No signature captured', 60, currentY + 45);
+    }
+    
+    // ===== PHOTOS SECTION =====
+    if (photoBuffers.length > 0) {
+      doc.addPage();
+      doc.fontSize(14).font('Helvetica-Bold').text('DELIVERY PHOTOS', 50, 50);
+      
+      let photoY = 80;
+      photoBuffers.forEach(buffer => {
+        if (photoY > 500) {
+          doc.addPage();
+          photoY = 50;
+        }
+        doc.image(buffer, 50, photoY, { fit: [495, 320] });
+        photoY += 340;
+      });
+    }
+    
+    doc.end();
+  } catch (error) {
+    console.error('❌ Error generating delivery receipt:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Error generating delivery receipt', error: error.message });
+    }
+  }
+});
+
+// Mapbox Route Optimization API
+app.post('/api/optimize-route', async (req, res) => {
+  try {
+    const {
+      depotId,
+      startPostcode,
+      orders: requestOrders = [],
+      returnToDepot = false,
+      vehicles: requestVehicles,
+      date,
+      departureTime,
+      averageSpeedKmh,
+      serviceMinutes = DEFAULT_SERVICE_MINUTES,
+      saveRoute = false,
+      driver = '',
+      vehicle = null,
+      zoneId,
+      deliveryDate
+    } = req.body;
+    const ordersToOptimize = requestOrders.length > 0 ? requestOrders : orders;
+    const activeOrders = ordersToOptimize.filter(order => 
+      (order.status === 'Pending' || order.status === 'In Process' || order.status === 'Failed') &&
+      // Optional zone and delivery day filters instead of routing every active order
+      (zoneId === undefined || order.zoneId === parseInt(zoneId)) &&
+      (deliveryDate === undefined || order.deliveryDate === deliveryDate)
+    );
+
+    if (zoneId !== undefined && !zones.some(zone => zone.id === parseInt(zoneId))) {
+      return res.status(404).json({ message: 'Zone not found' });
+    }
+    if (deliveryDate !== undefined && !DATE_PATTERN.test(deliveryDate)) {
+      return res.status(400).json({ message: 'deliveryDate must be YYYY-MM-DD' });
+    }
+
+    const depot = findDepot({ depotId, startPostcode });
+    if (depotId && !depot) {
+      return res.status(404).json({ message: 'Depot not found' });
+    }
+    const startPoint = depot ? depot.postcode : startPostcode;
+
+    let vehicleList = null;
+    if (requestVehicles !== undefined) {
+      const vehiclesError = validateVehicles(requestVehicles);
+      if (vehiclesError) {
+        return res.status(400).json({ message: vehiclesError });
+      }
+      vehicleList = normalizeVehicles(requestVehicles);
+    }
+    if (vehicle && vehicle.vehicleId !== undefined && !findVehicle(vehicle.vehicleId)) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    const routeVehicle = vehicle ? resolveVehicle(vehicle) : null;
+
+    if (date !== undefined && !DATE_PATTERN.test(date)) {
+      return res.status(400).json({ message: 'date must be YYYY-MM-DD' });
+    }
+    if (departureTime !== undefined && parseTimeOfDay(departureTime) === null) {
+      return res.status(400).json({ message: 'departureTime must be HH:MM' });
+    }
+    if ((averageSpeedKmh !== undefined && (typeof averageSpeedKmh !== 'number' || averageSpeedKmh <= 0)) || typeof serviceMinutes !== 'number' || serviceMinutes < 0) {
+      return res.status(400).json({ message: 'averageSpeedKmh must be a positive number and serviceMinutes a non-negative number' });
+    }
+    const routeDate = date || deliveryDate || new Date().toISOString().split('T')[0];
+
+    console.log(`🔴 Route optimization requested for ${activeOrders.length} active orders${zoneId !== undefined ? ` in zone ${zoneId}` : ''}${deliveryDate ? ` for ${deliveryDate}` : ''}`);
+    console.log(`🔴 Start point: ${startPoint}${depot ? ` (${depot.name})` : ''}`);
+
+    if (activeOrders.length === 0) {
+      return res.json({
+        route: [],
+        totalDistance: 0,
+        startPoint,
+        message: 'No active orders to optimize'
+      });
+    }
+
+    // Step 1: Geocode the start point and all order postcodes (cache first, geocoder only for misses)
+    const postcodesToGeocode = activeOrders.map(order => order.customerPostcode).filter(Boolean);
+    if (!(depot && depot.coordinates)) {
+      postcodesToGeocode.push(startPoint);
+    }
+    const geocoding = await geocodePostcodes(postcodesToGeocode);
+    console.log(`📍 Geocoding: ${geocoding.cacheHits} from cache, ${geocoding.lookups} external lookups`);
+    
+    if (geocoding.lookups > 0) {
+      await saveData(getAppData());
+    }
+
+    // Start coordinates: stored on the depot, otherwise geocoded from the start postcode
+    const depotCoords = depot && depot.coordinates ? depot.coordinates : geocoding.results.get(normalizePostcode(startPoint));
+    if (!depotCoords) {
+      return res.status(400).json({ message: `Could not locate start postcode: ${startPoint}` });
+    }
+    console.log(`🔴 Depot coordinates: [${depotCoords.lng}, ${depotCoords.lat}]`);
+
+    const ordersWithCoordinates = [];
+    
+    for (const order of activeOrders) {
+      if (!order.customerPostcode) {
+        console.log(`⚠️ Order ${order.id} (Basket ${order.basketNo}) skipped - no postcode`);
+        continue;
+      }
+      
+      const coordinates = geocoding.results.get(normalizePostcode(order.customerPostcode)) || null;
+      if (coordinates) {
+        console.log(`✅ Order #${order.basketNo} geocoded: [${coordinates.lng}, ${coordinates.lat}]`);
+      } else {
+        console.log(`❌ Order #${order.basketNo} - no geocoding results for: ${order.customerPostcode}`);
+      }
+      
+      ordersWithCoordinates.push({
+        ...order,
+        coordinates
+      });
+    }
+
+    // Step 2: Filter orders with valid coordinates
+    const validOrders = ordersWithCoordinates.filter(order => order.coordinates);
+    console.log(`🔴 Valid orders with coordinates: ${validOrders.length}/${activeOrders.length}`);
+
+    if (validOrders.length === 0) {
+      return res.json({
+        route: activeOrders,
+        totalDistance: 0,
+        startPoint,
+        message: geocoder.isAvailable()
+          ? 'No orders with valid coordinates found'
+          : 'No geocoder available: set MAPBOX_TOKEN or provide a postcode centroid file'
+      });
+    }
+
+    const ordersWithoutCoordinates = ordersWithCoordinates.filter(order => !order.coordinates);
+
+    // Step 3: Build road distance and duration matrices (index 0 is the depot)
+    const points = [depotCoords, ...validOrders.map(order => order.coordinates)];
+    const { distances: distanceMatrix, durations: durationMatrix, source: distanceSource } = await getTravelMatrix(points, averageSpeedKmh);
+    console.log(`🛣️ Distance matrix from ${distanceSource} for ${points.length} points`);
+
+    // Delivery windows switch on scheduling: ETAs come from the departure time and driving times
+    const windows = [null, ...validOrders.map(order => getDeliveryWindow(order, routeDate))];
+    let timeWindows = null;
+    if (departureTime !== undefined || windows.some(Boolean)) {
+      timeWindows = {
+        departureTime: departureTime !== undefined ? parseTimeOfDay(departureTime) : getDefaultDepartureTime(depot, routeDate),
+        durationMatrix,
+        windows,
+        serviceTimes: [0, ...validOrders.map(() => serviceMinutes)]
+      };
+      console.log(`⏰ Scheduling from ${formatTimeOfDay(timeWindows.departureTime)} on ${routeDate}, ${windows.filter(Boolean).length} stops with delivery windows`);
+    }
+
+    // Where navigation links start from
+    const startPlace = { coordinates: depotCoords, postcode: startPoint };
+
+    // Multi-vehicle mode: split the stops across vehicles by capacity, one optimised route each
+    if (vehicleList) {
+      const bearings = points.map(point => calculateBearing(depotCoords, point));
+      const demands = [null, ...validOrders.map(getOrderDemand)];
+      const plan = planVehicleRoutes(distanceMatrix, { bearings, demands, vehicles: vehicleList, returnToDepot, timeWindows });
+
+      const vehicleRoutes = plan.routes.map((vehicleRoute, index) => {
+        const { stops, returnDistance } = buildRouteStops(vehicleRoute.sequence, validOrders, distanceMatrix, {
+          returnToDepot,
+          schedule: vehicleRoute.schedule,
+          windows
+        });
+        const revenue = stops.reduce((sum, order) => sum + parseFloat(order.totalAmount || 0), 0);
+        const drivingMinutes = sequenceDistance(durationMatrix, vehicleRoute.sequence, returnToDepot);
+        const costs = calculateRouteCosts({
+          distance: vehicleRoute.distance,
+          minutes: drivingMinutes + stops.length * serviceMinutes
+        }, vehicleList[index]);
+        
+        console.log(`🚚 ${vehicleList[index].name}: ${stops.length} stops, ${vehicleRoute.distance.toFixed(2)} km, £${revenue.toFixed(2)}`);
+        
+        return {
+          vehicle: vehicleList[index],
+          route: stops,
+          totalDistance: Math.round(vehicleRoute.distance * 100) / 100,
+          drivingMinutes: Math.round(drivingMinutes),
+          returnDistance: Math.round(returnDistance * 100) / 100,
+          stopCount: stops.length,
+          revenue: Math.round(revenue * 100) / 100,
+          load: vehicleRoute.load,
+          costs,
+          schedule: summarizeSchedule(vehicleRoute.schedule, stops),
+          navigationLinks: multiStopDirectionLinks(startPlace, stops, { returnToDepot })
+        };
+      });
+
+      const unassigned = [...plan.unassigned.map(matrixIndex => validOrders[matrixIndex - 1]), ...ordersWithoutCoordinates];
+      if (unassigned.length > 0) {
+        console.log(`⚠️ ${unassigned.length} orders could not be assigned to a vehicle`);
+      }
+
+      // Persist one draft route per vehicle that has stops. Every plan is validated before any
+      // is saved, so a failure on one vehicle leaves no routes or order assignments behind.
+      if (saveRoute) {
+        const plannedRoutes = [];
+        for (const vehicleRoute of vehicleRoutes.filter(vehicleRoute => vehicleRoute.stopCount > 0)) {
+          const { route: plannedRoute, error, status } = await buildRoutePlan({
+            date: routeDate,
+            depotId: depot ? depot.id : null,
+            driver: vehicleRoute.vehicle.driver || '',
+            vehicle: vehicleRoute.vehicle,
+            stops: vehicleRoute.route,
+            returnToDepot,
+            returnDistance: vehicleRoute.returnDistance,
+            drivingMinutes: vehicleRoute.drivingMinutes,
+            serviceMinutes,
+            startPoint
+          });
+          if (error) {
+            return res.status(status).json({ message: error });
+          }
+          plannedRoutes.push({ vehicleRoute, route: plannedRoute });
+        }
+        plannedRoutes.forEach(({ vehicleRoute, route }) => {
+          commitRoutePlan(route);
+          vehicleRoute.routeId = route.id;
+        });
+        await saveData(getAppData());
+      }
+
+      return res.json({
+        routes: vehicleRoutes,
+        unassigned,
+        totalDistance: Math.round(plan.totalDistance * 100) / 100,
+        totalRevenue: Math.round(vehicleRoutes.reduce((sum, vehicleRoute) => sum + vehicleRoute.revenue, 0) * 100) / 100,
+        totalCosts: sumRouteCosts(vehicleRoutes.map(vehicleRoute => vehicleRoute.costs)),
+        returnToDepot,
+        date: routeDate,
+        departureTime: timeWindows ? formatTimeOfDay(timeWindows.departureTime) : null,
+        startPoint,
+        depot: depot ? { id: depot.id, name: depot.name, postcode: depot.postcode } : null,
+        startCoordinates: depotCoords,
+        distanceSource,
+        geocoding: { cacheHits: geocoding.cacheHits, lookups: geocoding.lookups },
+        message: `Orders split across ${vehicleList.length} vehicles`
+      });
+    }
+
+    // Previous ordering (nearest to depot first) kept as a baseline for the saving
+    const previousSequence = validOrders
+      .map((order, index) => index + 1)
+      .sort((a, b) => distanceMatrix[0][a] - distanceMatrix[0][b]);
+    const previousDistance = sequenceDistance(distanceMatrix, previousSequence, returnToDepot);
+
+    // Step 4: Solve with nearest-neighbour construction + 2-opt/Or-opt improvement,
+    // honouring delivery windows when there are any
+    const { sequence, distance: totalRouteDistance, schedule = null } = timeWindows
+      ? optimizeRouteWithTimeWindows(distanceMatrix, { ...timeWindows, returnToDepot })
+      : optimizeRoute(distanceMatrix, { returnToDepot });
+    const { stops: optimizedRoute, returnDistance } = buildRouteStops(sequence, validOrders, distanceMatrix, {
+      returnToDepot,
+      schedule,
+      windows
+    });
+    const scheduleSummary = summarizeSchedule(schedule, optimizedRoute);
+    const drivingMinutes = sequenceDistance(durationMatrix, sequence, returnToDepot);
+    const costs = calculateRouteCosts({
+      distance: totalRouteDistance,
+      minutes: drivingMinutes + optimizedRoute.length * serviceMinutes
+    }, routeVehicle);
+
+    // Add orders without coordinates at the end
+    if (ordersWithoutCoordinates.length > 0) {
+      console.log(`⚠️ Adding ${ordersWithoutCoordinates.length} orders without coordinates at the end`);
+      optimizedRoute.push(...ordersWithoutCoordinates.map(order => ({ ...order, navigation: stopNavigation(order) })));
+    }
+
+    // Persist the result as a draft route so the driver app and PDF can refer to it
+    let savedRoute = null;
+    if (saveRoute) {
+      const { route, error, status } = await createRoutePlan({
+        date: routeDate,
+        depotId: depot ? depot.id : null,
+        driver,
+        vehicle: routeVehicle,
+        stops: optimizedRoute,
+        returnToDepot,
+        returnDistance,
+        drivingMinutes,
+        serviceMinutes,
+        startPoint
+      });
+      if (error) {
+        return res.status(status).json({ message: error });
+      }
+      savedRoute = route;
+      await saveData(getAppData());
+      console.log(`💾 Route saved as draft #${savedRoute.id}`);
+    }
+
+    console.log(`✅ Route optimization completed!`);
+    console.log(`📊 Total distance: ${totalRouteDistance.toFixed(2)} km (previously ${previousDistance.toFixed(2)} km)`);
+    console.log(`📋 Final route:`, optimizedRoute.map(order => `#${order.basketNo} (${order.customerPostcode})`));
+
+    res.json({
+      route: optimizedRoute,
+      totalDistance: Math.round(totalRouteDistance * 100) / 100,
+      drivingMinutes: Math.round(drivingMinutes),
+      costs,
+      returnToDepot,
+      returnDistance: Math.round(returnDistance * 100) / 100,
+      previousDistance: Math.round(previousDistance * 100) / 100,
+      distanceSaved: Math.round(Math.max(previousDistance - totalRouteDistance, 0) * 100) / 100,
+      date: routeDate,
+      departureTime: timeWindows ? formatTimeOfDay(timeWindows.departureTime) : null,
+      schedule: scheduleSummary,
+      navigationLinks: multiStopDirectionLinks(startPlace, optimizedRoute, { returnToDepot }),
+      routeId: savedRoute ? savedRoute.id : null,
+      startPoint,
+      depot: depot ? { id: depot.id, name: depot.name, postcode: depot.postcode } : null,
+      startCoordinates: depotCoords,
+      distanceSource,
+      geocoding: { cacheHits: geocoding.cacheHits, lookups: geocoding.lookups },
+      message: 'Route optimized successfully with nearest-neighbour and 2-opt/Or-opt'
+    });
+
+  } catch (error) {
+    console.error('❌ Route optimization error:', error);
+    res.status(500).json({ 
+      message: 'Error optimizing route',
+      error: error.message 
+    });
+  }
+});
+
+// Haversine distance calculation
+function calculateHaversineDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = 
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+// Road distance (km) and driving time (minutes) between points from the routing engine.
+// An explicit average speed overrides the engine's own durations.
+async function getTravelMatrix(points, averageSpeedKmh) {
+  const { distances, durations, source } = await routingEngine.getMatrix(points);
+  return {
+    distances,
+    durations: averageSpeedKmh ? distances.map(row => row.map(km => km / averageSpeedKmh * 60)) : durations,
+    source
+  };
+}
+
+// Distance and time for driving stops in the given order, e.g. a route sheet that was
+// already sequenced. Stops that cannot be located are left out of the estimate.
+async function estimateRouteTravel(stopOrders, { startCoordinates, returnToDepot = false, serviceMinutes = DEFAULT_SERVICE_MINUTES } = {}) {
+  const geocoding = await geocodePostcodes(stopOrders.filter(order => !order.coordinates).map(order => order.customerPostcode));
+  const stopPoints = stopOrders
+    .map(order => order.coordinates || geocoding.results.get(normalizePostcode(order.customerPostcode)))
+    .filter(Boolean);
+  
+  if (!startCoordinates || stopPoints.length === 0) {
+    return null;
+  }
+  
+  const { distances, durations, source } = await getTravelMatrix([startCoordinates, ...stopPoints]);
+  const sequence = stopPoints.map((point, index) => index + 1);
+  const drivingMinutes = sequenceDistance(durations, sequence, returnToDepot);
+  
+  return {
+    distance: Math.round(sequenceDistance(distances, sequence, returnToDepot) * 100) / 100,
+    drivingMinutes: Math.round(drivingMinutes),
+    totalMinutes: Math.round(drivingMinutes + stopPoints.length * serviceMinutes),
+    locatedStops: stopPoints.length,
+    source
+  };
+}
+
+// Lay out an optimised sequence as route stops with leg distances and routeOrder,
+// plus arrival estimates when the route was scheduled against delivery windows
+function buildRouteStops(sequence, stopOrders, distanceMatrix, { returnToDepot = false, schedule = null, windows = [] } = {}) {
+  const stops = [];
+  let previousIndex = 0;
+  
+  sequence.forEach((matrixIndex, index) => {
+    const order = {
+      ...stopOrders[matrixIndex - 1],
+      routeDistance: distanceMatrix[previousIndex][matrixIndex],
+      routeOrder: index + 1
+    };
+    
+    if (schedule) {
+      const timing = schedule.stops[index];
+      const window = windows[matrixIndex];
+      order.deliveryWindow = window
+        ? (window.closed ? { closed: true } : { start: formatTimeOfDay(window.start), end: formatTimeOfDay(window.end) })
+        : null;
+      order.estimatedArrival = formatTimeOfDay(timing.arrival);
+      order.serviceStart = formatTimeOfDay(timing.serviceStart);
+      order.waitMinutes = Math.round(timing.waitMinutes);
+      order.lateMinutes = Math.round(timing.lateMinutes);
+      order.unreachable = timing.lateMinutes > 0;
+    }
+    order.navigation = stopNavigation(order);
+    stops.push(order);
+    
+    console.log(`🚗 Route stop ${index + 1}: Order #${order.basketNo} (${order.customerPostcode}) - ${order.routeDistance.toFixed(2)} km${order.estimatedArrival ? ` ETA ${order.estimatedArrival}${order.unreachable ? ' ⚠️ outside window' : ''}` : ''}`);
+    
+    previousIndex = matrixIndex;
+  });
+  
+  const returnDistance = returnToDepot && stops.length > 0 ? distanceMatrix[previousIndex][0] : 0;
+  if (returnToDepot && stops.length > 0) {
+    console.log(`🚗 Return to depot - ${returnDistance.toFixed(2)} km`);
+  }
+  
+  return { stops, returnDistance };
+}
+
+// Departure defaults to the depot's opening time that day, otherwise DEFAULT_DEPARTURE_TIME
+function getDefaultDepartureTime(depot, date) {
+  const hours = depot && depot.openingHours && depot.openingHours[getWeekday(date)];
+  return parseTimeOfDay(hours ? hours.open : DEFAULT_DEPARTURE_TIME);
+}
+
+// Route-level view of a schedule: start/finish times and the stops that miss their window
+function summarizeSchedule(schedule, stops) {
+  if (!schedule) {
+    return null;
+  }
+  
+  const unreachable = stops.filter(stop => stop.unreachable);
+  return {
+    finishTime: formatTimeOfDay(schedule.finishTime),
+    lateStops: unreachable.length,
+    totalLateMinutes: Math.round(schedule.totalLateness),
+    unreachableOrderIds: unreachable.map(stop => stop.id)
+  };
+}
+
+// Compass bearing of a point as seen from the depot, used to sweep stops into vehicles
+function calculateBearing(from, to) {
+  const dx = (to.lng - from.lng) * Math.cos(from.lat * Math.PI / 180);
+  const dy = to.lat - from.lat;
+  return Math.atan2(dy, dx);
+}
+
+// Vehicle capacity an order takes up: one basket, its value and optional weight (kg)
+function getOrderDemand(order) {
+  return {
+    baskets: 1,
+    orderValue: parseFloat(order.totalAmount || 0),
+    weight: parseFloat(order.weight || 0)
+  };
+}
+
+function validateCapacity(capacity, label) {
+  for (const dimension of CAPACITY_DIMENSIONS) {
+    const limit = (capacity || {})[dimension];
+    if (limit !== undefined && limit !== null && (typeof limit !== 'number' || limit < 0)) {
+      return `${label}.${dimension} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+// Request vehicles are inline objects or { vehicleId } references to stored vehicle profiles
+function validateVehicles(requestVehicles) {
+  if (!Array.isArray(requestVehicles) || requestVehicles.length === 0) {
+    return 'vehicles must be a non-empty array';
+  }
+  
+  for (const [index, vehicle] of requestVehicles.entries()) {
+    if (!vehicle || typeof vehicle !== 'object') {
+      return `vehicles[${index}] must be an object`;
+    }
+    if (vehicle.vehicleId !== undefined && !findVehicle(vehicle.vehicleId)) {
+      return `vehicles[${index}].vehicleId ${vehicle.vehicleId} not found`;
+    }
+    const capacityError = validateCapacity(vehicle.capacity, `vehicles[${index}].capacity`);
+    if (capacityError) {
+      return capacityError;
+    }
+  }
+  
+  return null;
+}
+
+function normalizeVehicles(requestVehicles) {
+  return requestVehicles.map(resolveVehicle).map((vehicle, index) => ({
+    ...vehicle,
+    id: vehicle.id !== undefined ? vehicle.id : index + 1,
+    name: vehicle.name || `Vehicle ${index + 1}`,
+    capacity: vehicle.capacity || {}
+  }));
+}
+
+// Compact form of a postcode used for comparisons ("bh13 7ex" -> "BH137EX")
+function normalizePostcode(postcode) {
+  return (postcode || '').replace(/\s+/g, '').toUpperCase();
+}
+
+// Geocode cache entries are keyed by normalised postcode. Manual overrides never expire.
+const GEOCODE_CACHE_TTL_DAYS = parseInt(process.env.GEOCODE_CACHE_TTL_DAYS) || 90;
+const GEOCODE_CONCURRENCY = 5;
+
+function getCachedCoordinates(postcode) {
+  const key = normalizePostcode(postcode);
+  const entry = geocodeCache.find(entry => entry.postcode === key);
+  
+  if (!entry || (entry.expiresAt && new Date(entry.expiresAt) < new Date())) {
+    return null;
+  }
+  return entry.coordinates;
+}
+
+function cacheCoordinates(postcode, coordinates, source) {
+  const key = normalizePostcode(postcode);
+  const now = new Date();
+  const entry = {
+    postcode: key,
+    coordinates: { lng: coordinates.lng, lat: coordinates.lat },
+    source,
+    cachedAt: now.toISOString(),
+    expiresAt: source === 'manual' ? null : new Date(now.getTime() + GEOCODE_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  };
+  
+  const entryIndex = geocodeCache.findIndex(existing => existing.postcode === key);
+  if (entryIndex === -1) {
+    geocodeCache.push(entry);
+  } else {
+    geocodeCache[entryIndex] = entry;
+  }
+  return entry;
+}
+
+// Write coordinates onto every customer at this postcode
+function applyCoordinatesToCustomers(postcode, coordinates) {
+  const key = normalizePostcode(postcode);
+  customers.forEach(customer => {
+    if (normalizePostcode(customer.postcode) === key) {
+      customer.coordinates = { lng: coordinates.lng, lat: coordinates.lat };
+    }
+  });
+}
+
+// Geocode a batch of postcodes. Cache hits are used first, then customer records for postcodes
+// that were never cached; expired entries and the rest go through the geocoder chain a few at a
+// time. Coordinates from an expired entry or a customer record are still used when the geocoder
+// is unavailable or finds nothing. New results are only cached in memory, so callers persist
+// them with saveData when lookups > 0.
+async function geocodePostcodes(postcodes) {
+  const results = new Map();
+  const misses = [];
+  const staleCoordinates = new Map();
+  let cacheHits = 0;
+  
+  postcodes.forEach(postcode => {
+    const key = normalizePostcode(postcode);
+    if (!key || results.has(key)) {
+      return;
+    }
+    
+    const entry = geocodeCache.find(entry => entry.postcode === key);
+    const customer = customers.find(customer => normalizePostcode(customer.postcode) === key && customer.coordinates);
+    const cached = getCachedCoordinates(key) || (!entry && customer ? customer.coordinates : null);
+    if (cached) {
+      results.set(key, cached);
+      cacheHits++;
+    } else {
+      results.set(key, null);
+      misses.push(postcode);
+      const stale = (entry && entry.coordinates) || (customer && customer.coordinates);
+      if (stale) {
+        staleCoordinates.set(key, stale);
+      }
+    }
+  });
+  
+  const lookups = geocoder.isAvailable() ? misses.length : 0;
+  for (let i = 0; i < lookups; i += GEOCODE_CONCURRENCY) {
+    const batch = misses.slice(i, i + GEOCODE_CONCURRENCY);
+    const batchResults = await Promise.all(batch.map(postcode => geocoder.geocode(postcode)));
+    
+    batch.forEach((postcode, index) => {
+      const result = batchResults[index];
+      if (result) {
+        cacheCoordinates(postcode, result.coordinates, result.source);
+        applyCoordinatesToCustomers(postcode, result.coordinates);
+        results.set(normalizePostcode(postcode), result.coordinates);
+      }
+    });
+  }
+  
+  staleCoordinates.forEach((coordinates, key) => {
+    if (!results.get(key)) {
+      results.set(key, coordinates);
+    }
+  });
+  
+  return { results, cacheHits, lookups };
+}
+
+// Geocode a single postcode through the cache, returns { lng, lat } or null
+async function geocodePostcode(postcode) {
+  const { results } = await geocodePostcodes([postcode]);
+  return results.get(normalizePostcode(postcode)) || null;
+}
+
+// Depot a request refers to: by depotId, by matching startPostcode, or the default depot.
+// Returns null for an unknown depotId or a start postcode that is not a depot.
+function findDepot({ depotId, startPostcode } = {}) {
+  if (depotId !== undefined && depotId !== null && depotId !== '') {
+    return depots.find(depot => depot.id === parseInt(depotId)) || null;
+  }
+  
+  if (startPostcode) {
+    return depots.find(depot => normalizePostcode(depot.postcode) === normalizePostcode(startPostcode)) || null;
+  }
+  
+  return depots.find(depot => depot.isDefault) || depots[0] || DEFAULT_DEPOT;
+}
+
+// Customers API
+// Order count, revenue and last order date per customer id, in one pass over the orders
+function buildCustomerActivity() {
+  const activity = new Map();
+  
+  orders.forEach(order => {
+    const customerId = order.customerId !== undefined && order.customerId !== null
+      ? order.customerId
+      : (findCustomerForOrder(order) || {}).id;
+    if (customerId === undefined) {
+      return;
+    }
+    
+    const stats = activity.get(customerId) || { orderCount: 0, lifetimeRevenue: 0, lastOrderDate: null };
+    stats.orderCount++;
+    if (isRevenueOrder(order)) {
+      stats.lifetimeRevenue = Math.round((stats.lifetimeRevenue + parseFloat(order.totalAmount || 0)) * 100) / 100;
+    }
+    if (order.createdAt && (!stats.lastOrderDate || order.createdAt > stats.lastOrderDate)) {
+      stats.lastOrderDate = order.createdAt;
+    }
+    activity.set(customerId, stats);
+  });
+  
+  return activity;
+}
+
+const CUSTOMER_SORT_FIELDS = ['shopName', 'lifetimeRevenue', 'lastOrderDate', 'orderCount'];
+
+// search covers shop, contact, phone, address, postcode and city; filters are city, district
+// (postcode district, e.g. BH8), zoneId and orderedWithinDays. Each customer carries its order stats.
+app.get('/api/customers', (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = 'shopName',
+    sortOrder = 'asc',
+    search,
+    city,
+    district,
+    zoneId,
+    orderedWithinDays
+  } = req.query;
+  
+  if (!CUSTOMER_SORT_FIELDS.includes(sortBy)) {
+    return res.status(400).json({ message: `sortBy must be one of: ${CUSTOMER_SORT_FIELDS.join(', ')}` });
+  }
+  if (zoneId && !zones.some(zone => zone.id === parseInt(zoneId))) {
+    return res.status(404).json({ message: 'Zone not found' });
+  }
+  if (orderedWithinDays !== undefined && !(parseInt(orderedWithinDays) >= 0)) {
+    return res.status(400).json({ message: 'orderedWithinDays must be a non-negative number of days' });
+  }
+  
+  const activity = buildCustomerActivity();
+  let filteredCustomers = customers.map(customer => ({
+    ...customer,
+    stats: activity.get(customer.id) || { orderCount: 0, lifetimeRevenue: 0, lastOrderDate: null }
+  }));
+  
+  // Search functionality
+  if (search) {
+    const searchLower = search.toLowerCase();
+    const searchPostcode = normalizePostcode(search);
+    filteredCustomers = filteredCustomers.filter(customer =>
+      customer.shopName?.toLowerCase().includes(searchLower) ||
+      customer.name?.toLowerCase().includes(searchLower) ||
+      customer.phone?.replace(/\s+/g, '').includes(search.replace(/\s+/g, '')) ||
+      customer.address?.toLowerCase().includes(searchLower) ||
+      (searchPostcode && normalizePostcode(customer.postcode).includes(searchPostcode)) ||
+      customer.city?.toLowerCase().includes(searchLower)
+    );
+  }
+  
+  // City filter
+  if (city) {
+    filteredCustomers = filteredCustomers.filter(customer =>
+      (customer.city || '').trim().toLowerCase() === city.trim().toLowerCase()
+    );
+  }
+  
+  // Postcode district filter, falling back to parsing customers saved before postcodeParts existed
+  if (district) {
+    const districtUpper = district.trim().toUpperCase();
+    filteredCustomers = filteredCustomers.filter(customer => {
+      const parts = customer.postcodeParts || parseUkPostcode(customer.postcode);
+      return Boolean(parts) && parts.district === districtUpper;
+    });
+  }
+  
+  // Delivery zone filter; polygons only match customers whose postcode is already geocoded
+  if (zoneId) {
+    filteredCustomers = filteredCustomers.filter(customer => {
+      const zone = findZone(zones, { postcode: customer.postcode, coordinates: getCachedCoordinates(customer.postcode) });
+      return Boolean(zone) && zone.id === parseInt(zoneId);
+    });
+  }
+  
+  // Activity filter: ordered within the last N days
+  if (orderedWithinDays !== undefined) {
+    const since = new Date(Date.now() - parseInt(orderedWithinDays) * 86400000).toISOString();
+    filteredCustomers = filteredCustomers.filter(customer =>
+      customer.stats.lastOrderDate && customer.stats.lastOrderDate >= since
+    );
+  }
+  
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  filteredCustomers.sort((a, b) => {
+    if (sortBy === 'shopName') {
+      return direction * (a.shopName || '').toLowerCase().localeCompare((b.shopName || '').toLowerCase());
+    }
+    if (sortBy === 'lastOrderDate') {
+      // Customers who never ordered go last either way
+      if (!a.stats.lastOrderDate || !b.stats.lastOrderDate) {
+        return (a.stats.lastOrderDate ? -1 : 0) + (b.stats.lastOrderDate ? 1 : 0);
+      }
+      return direction * a.stats.lastOrderDate.localeCompare(b.stats.lastOrderDate);
+    }
+    return direction * (a.stats[sortBy] - b.stats[sortBy]);
+  });
+  
+  // Calculate pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const startIndex = (pageNum - 1) * limitNum;
+  const endIndex = startIndex + limitNum;
+  
+  // Get paginated results
+  const paginatedCustomers = filteredCustomers.slice(startIndex, endIndex);
+  
+  // Return response with pagination info
+  res.json({
+    customers: paginatedCustomers,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(filteredCustomers.length / limitNum),
+      totalCustomers: filteredCustomers.length,
+      customersPerPage: limitNum,
+      hasNextPage: endIndex < filteredCustomers.length,
+      hasPrevPage: pageNum > 1
+    }
+  });
+});
+
+// Opening hours and delivery window checks shared by customer create/update
+function validateCustomerSchedule(customer) {
+  return validateOpeningHours(customer.openingHours) || validateDeliveryWindow(customer.deliveryWindow);
+}
+
+app.post('/api/customers', async (req, res) => {
+  try {
+    const scheduleError = validateCustomerSchedule(req.body);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+    
+    const address = checkAddressInput(req, CUSTOMER_ADDRESS_FIELDS);
+    if (address.errors) {
+      return res.status(400).json({ message: 'Invalid address details', errors: address.errors });
+    }
+    
+    const newCustomer = {
+      ...req.body,
+      id: await nextId('customers', customers),
+      ...address.values
+    };
+    customers.push(newCustomer);
+    await saveData(getAppData());
+    res.status(201).json(address.warnings ? { ...newCustomer, addressWarnings: address.warnings } : newCustomer);
+  } catch (error) {
+    console.error('❌ Error creating customer:', error);
+    res.status(500).json({ message: 'Error creating customer', error: error.message });
+  }
+});
+
+// cascadeToOrders: true copies changed name, phone and address details onto the customer's open orders
+app.put('/api/customers/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const customerIndex = customers.findIndex(customer => customer.id === id);
+    
+    if (customerIndex === -1) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    
+    const { cascadeToOrders = false, ...updates } = req.body;
+    
+    const scheduleError = validateCustomerSchedule(updates);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+    
+    const address = checkAddressInput(req, CUSTOMER_ADDRESS_FIELDS);
+    if (address.errors) {
+      return res.status(400).json({ message: 'Invalid address details', errors: address.errors });
+    }
+    
+    const previous = customers[customerIndex];
+    const customer = { ...previous, ...updates, ...address.values };
+    customers[customerIndex] = customer;
+    
+    const cascadedOrderIds = cascadeToOrders ? await cascadeCustomerToOrders(customer, previous) : [];
+    await saveData(getAppData());
+    if (cascadedOrderIds.length > 0) {
+      io.emit('orders-bulk-updated', { action: 'customerCascade', orderIds: cascadedOrderIds });
+    }
+    
+    const response = { ...customer };
+    if (cascadeToOrders) {
+      response.cascadedOrderIds = cascadedOrderIds;
+    }
+    if (address.warnings) {
+      response.addressWarnings = address.warnings;
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('❌ Error updating customer:', error);
+    res.status(500).json({ message: 'Error updating customer', error: error.message });
+  }
+});
+
+app.delete('/api/customers/:id', (req, res) => {
+  const id = parseInt(req.params.id);
+  const customerIndex = customers.findIndex(customer => customer.id === id);
+  
+  if (customerIndex === -1) {
+    return res.status(404).json({ message: 'Customer not found' });
+  }
+  
+  customers.splice(customerIndex, 1);
+  
+  // Orders keep their copied details but no longer point at the deleted customer
+  orders.forEach(order => {
+    if (order.customerId === id) {
+      order.customerId = null;
+    }
+  });
+  
+  saveData(getAppData());
+  res.json({ message: 'Customer deleted' });
+});
+
+// Order customer links
+// Orders keep their own copy of the delivery details and point at their customer by customerId.
+// Open orders are the ones whose details can still follow a customer's changes.
+const OPEN_ORDER_STATUSES = ['Pending', 'In Process', 'Failed'];
+// Customer field -> order field
+const CUSTOMER_ORDER_FIELDS = {
+  shopName: 'shopName',
+  name: 'customerName',
+  phone: 'customerPhone',
+  address: 'customerAddress',
+  postcode: 'customerPostcode'
+};
+
+function newCustomerFromOrder(order, id) {
+  return {
+    id,
+    shopName: order.shopName || '',
+    name: order.customerName || '',
+    phone: order.customerPhone || '',
+    address: order.customerAddress || '',
+    postcode: order.customerPostcode || '',
+    postcodeParts: order.postcodeParts || null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+function validateOrderCustomer({ customerId }) {
+  if (customerId !== undefined && !customers.some(customer => customer.id === parseInt(customerId))) {
+    return 'Customer not found';
+  }
+  return null;
+}
+
+// Link an order to the customer named by customerId, else to a match on phone or postcode
+// and shop name, else to a new customer built from the order. Details the order leaves out
+// are filled in from the customer. Returns { customer, created }.
+async function linkOrderCustomer(order) {
+  let customer = order.customerId !== undefined && order.customerId !== null
+    ? customers.find(customer => customer.id === parseInt(order.customerId))
+    : findCustomerForOrder(order);
+  const created = !customer;
+  
+  if (created) {
+    customer = newCustomerFromOrder(order, await nextId('customers', customers));
+    customers.push(customer);
+    console.log(`👤 Created customer #${customer.id} (${customer.shopName}) for order #${order.id}`);
+  }
+  
+  order.customerId = customer.id;
+  Object.entries(CUSTOMER_ORDER_FIELDS).forEach(([customerField, orderField]) => {
+    if (!order[orderField] && customer[customerField]) {
+      order[orderField] = customer[customerField];
+      if (customerField === 'postcode') {
+        order.postcodeParts = normalizeAddressFields(customer, { postcode: 'postcode' }).postcodeParts;
+      }
+    }
+  });
+  
+  return { customer, created };
+}
+
+// Copy a customer's changed details onto their open orders. Returns the updated order ids.
+async function cascadeCustomerToOrders(customer, previous) {
+  const changedFields = Object.keys(CUSTOMER_ORDER_FIELDS).filter(field => customer[field] !== previous[field]);
+  if (changedFields.length === 0) {
+    return [];
+  }
+  
+  const openOrders = orders.filter(order => order.customerId === customer.id && OPEN_ORDER_STATUSES.includes(order.status));
+  for (const order of openOrders) {
+    changedFields.forEach(field => {
+      order[CUSTOMER_ORDER_FIELDS[field]] = customer[field];
+    });
+    
+    // Stops of routes still being planned carry their own copy of the name and address
+    const plannedRoute = routes.find(route => route.id === order.routeId);
+    const stop = plannedRoute && EDITABLE_ROUTE_STATUSES.includes(plannedRoute.status)
+      ? plannedRoute.stops.find(stop => stop.orderId === order.id)
+      : null;
+    if (stop) {
+      stop.shopName = order.shopName;
+      plannedRoute.updatedAt = new Date().toISOString();
+    }
+    
+    if (changedFields.includes('postcode')) {
+      order.postcodeParts = customer.postcodeParts || null;
+      // Only a different zone means different delivery days; otherwise the scheduled or
+      // hand-picked delivery date stays, and so does it when the new postcode has no zone
+      const zone = await findOrderZone(order);
+      if ((zone ? zone.id : null) !== (order.zoneId || null)) {
+        await tagOrderZone(order, zone ? { zoneId: zone.id } : { deliveryDate: order.deliveryDate });
+      }
+      if (stop) {
+        stop.customerPostcode = order.customerPostcode;
+        stop.coordinates = await geocodePostcode(order.customerPostcode).catch(() => null);
+      }
+    }
+  }
+  return openOrders.map(order => order.id);
+}
+
+// One-off backfill for orders created before customerId existed. Matches on phone, then
+// postcode and shop name; with createMissing, unmatched orders get a new customer.
+app.post('/api/customers/backfill-orders', async (req, res) => {
+  try {
+    const { dryRun = false, createMissing = false } = req.body;
+    const unlinkedOrders = orders.filter(order => order.customerId === undefined || order.customerId === null);
+    const newCustomers = [];
+    const matched = [];
+    const unmatchedOrderIds = [];
+    
+    unlinkedOrders.forEach(order => {
+      let customer = findCustomerForOrder(order) || findCustomerForOrder(order, newCustomers);
+      if (!customer && createMissing) {
+        // New customers get their ids when the backfill is applied, not on a dry run
+        customer = newCustomerFromOrder(order, null);
+        newCustomers.push(customer);
+      }
+      if (!customer) {
+        unmatchedOrderIds.push(order.id);
+        return;
+      }
+      matched.push({ order, customer });
+    });
+    
+    if (!dryRun && matched.length > 0) {
+      if (newCustomers.length > 0) {
+        const firstCustomerId = await nextId('customers', customers, newCustomers.length);
+        newCustomers.forEach((customer, index) => {
+          customer.id = firstCustomerId + index;
+        });
+      }
+      matched.forEach(({ order, customer }) => {
+        order.customerId = customer.id;
+      });
+      customers.push(...newCustomers);
+      await saveData(getAppData());
+      io.emit('orders-bulk-updated', { action: 'customerLink', orderIds: matched.map(link => link.order.id) });
+    }
+    
+    console.log(`🔗 Customer backfill${dryRun ? ' (dry run)' : ''}: ${matched.length} linked, ${newCustomers.length} new customers, ${unmatchedOrderIds.length} unmatched`);
+    res.json({
+      dryRun: Boolean(dryRun),
+      scanned: unlinkedOrders.length,
+      linked: matched.length,
+      customersCreated: newCustomers.length,
+      unmatchedOrderIds,
+      links: matched.map(({ order, customer }) => ({
+        orderId: order.id,
+        customerId: customer.id,
+        customerCreated: newCustomers.includes(customer)
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error backfilling order customers:', error);
+    res.status(500).json({ message: 'Error backfilling order customers', error: error.message });
+  }
+});
+
+// Orders belonging to a customer: linked by customerId, plus older orders that were never
+// linked but match the customer's phone or postcode and shop name
+function getCustomerOrders(customer) {
+  return orders.filter(order => order.customerId !== undefined && order.customerId !== null
+    ? order.customerId === customer.id
+    : findCustomerForOrder(order) === customer);
+}
+
+// Orders that count towards revenue; cancelled and returned orders were never paid for
+function isRevenueOrder(order) {
+  return order.status !== 'Cancelled' && order.status !== 'Returned';
+}
+
+function summarizeCustomerOrders(customerOrders) {
+  const revenueOrders = customerOrders.filter(isRevenueOrder);
+  const lifetimeRevenue = revenueOrders.reduce((sum, order) => sum + parseFloat(order.totalAmount || 0), 0);
+  const orderDates = customerOrders.map(order => order.createdAt).filter(Boolean).sort();
+  const firstOrderDate = orderDates[0] || null;
+  const lastOrderDate = orderDates[orderDates.length - 1] || null;
+  
+  // Average gap between orders, and orders per 30 days over at least a month
+  const spanDays = orderDates.length > 1 ? (new Date(lastOrderDate) - new Date(firstOrderDate)) / 86400000 : null;
+  const averageDaysBetweenOrders = spanDays !== null ? Math.round(spanDays / (orderDates.length - 1) * 10) / 10 : null;
+  
+  const paymentCounts = {};
+  revenueOrders.forEach(order => {
+    if (order.paymentMethod) {
+      paymentCounts[order.paymentMethod] = (paymentCounts[order.paymentMethod] || 0) + 1;
+    }
+  });
+  const preferredPaymentMethod = Object.keys(paymentCounts).reduce((best, method) =>
+    best === null || paymentCounts[method] > paymentCounts[best] ? method : best, null);
+  
+  // Orders put on the customer's account (payment method Balance) are still owed
+  const outstandingBalance = revenueOrders
+    .filter(order => order.paymentMethod === 'Balance')
+    .reduce((sum, order) => sum + parseFloat(order.totalAmount || 0), 0);
+  
+  const statusBreakdown = {};
+  customerOrders.forEach(order => {
+    statusBreakdown[order.status] = (statusBreakdown[order.status] || 0) + 1;
+  });
+  
+  return {
+    totalOrders: customerOrders.length,
+    lifetimeRevenue: Math.round(lifetimeRevenue * 100) / 100,
+    averageOrderValue: revenueOrders.length > 0 ? Math.round(lifetimeRevenue / revenueOrders.length * 100) / 100 : 0,
+    firstOrderDate,
+    lastOrderDate,
+    averageDaysBetweenOrders,
+    ordersPerMonth: orderDates.length > 0 ? Math.round(orderDates.length / Math.max((spanDays || 0) / 30, 1) * 10) / 10 : 0,
+    preferredPaymentMethod,
+    paymentBreakdown: paymentCounts,
+    outstandingBalance: Math.round(outstandingBalance * 100) / 100,
+    failedDeliveries: customerOrders.reduce((sum, order) => sum + (order.attemptCount || 0), 0),
+    statusBreakdown
+  };
+}
+
+app.get('/api/customers/:id/summary', (req, res) => {
+  try {
+    const customer = customers.find(customer => customer.id === parseInt(req.params.id));
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    
+    const customerOrders = getCustomerOrders(customer)
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    
+    res.json({
+      customer,
+      ...summarizeCustomerOrders(customerOrders),
+      orders: customerOrders
+    });
+  } catch (error) {
+    console.error('❌ Error building customer summary:', error);
+    res.status(500).json({ message: 'Error building customer summary', error: error.message });
+  }
+});
+
+// Duplicate customers
+app.get('/api/customers/duplicates', (req, res) => {
+  const minScore = req.query.minScore !== undefined ? parseFloat(req.query.minScore) : 0.5;
+  if (!(minScore >= 0 && minScore <= 1)) {
+    return res.status(400).json({ message: 'minScore must be between 0 and 1' });
+  }
+  
+  const candidates = findDuplicateCandidates(customers, { minScore }).map(candidate => ({
+    ...candidate,
+    customers: candidate.customerIds.map(id => customers.find(customer => customer.id === id))
+  }));
+  res.json({ minScore, count: candidates.length, candidates });
+});
+
+app.get('/api/customers/merges', (req, res) => {
+  const { customerId } = req.query;
+  const merges = customerId
+    ? customerMerges.filter(merge => merge.survivorId === parseInt(customerId) || merge.mergedCustomerId === parseInt(customerId))
+    : customerMerges;
+  res.json(merges);
+});
+
+// Fold the customer `duplicateId` into this one. Details this customer lacks are taken from
+// the duplicate, its orders are re-pointed here and the merge is kept in customerMerges.
+app.post('/api/customers/:id/merge', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { duplicateId, actor = 'system', reason = '' } = req.body;
+    if (duplicateId === undefined || parseInt(duplicateId) === id) {
+      return res.status(400).json({ message: 'duplicateId must name another customer' });
+    }
+    
+    // Taken before the lookups so nothing else can run between them and the merge itself
+    const mergeId = await nextId('customerMerges', customerMerges);
+    
+    const survivor = customers.find(customer => customer.id === id);
+    if (!survivor) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+    const duplicate = customers.find(customer => customer.id === parseInt(duplicateId));
+    if (!duplicate) {
+      return res.status(404).json({ message: 'Duplicate customer not found' });
+    }
+    
+    // Orders that belong to the duplicate, including ones never linked by customerId
+    const movedOrders = getCustomerOrders(duplicate);
+    // Scored before the fill below copies the duplicate's details onto the survivor
+    const match = scoreCustomerPair(survivor, duplicate);
+    
+    const filledFields = Object.keys(duplicate).filter(field =>
+      field !== 'id' && (survivor[field] === undefined || survivor[field] === null || survivor[field] === '') &&
+      duplicate[field] !== undefined && duplicate[field] !== null && duplicate[field] !== ''
+    );
+    filledFields.forEach(field => {
+      survivor[field] = duplicate[field];
+    });
+    survivor.updatedAt = new Date().toISOString();
+    
+    movedOrders.forEach(order => {
+      order.customerId = survivor.id;
+    });
+    customers.splice(customers.indexOf(duplicate), 1);
+    
+    const merge = {
+      id: mergeId,
+      survivorId: survivor.id,
+      mergedCustomerId: duplicate.id,
+      mergedCustomer: duplicate,
+      match,
+      filledFields,
+      orderIds: movedOrders.map(order => order.id),
+      actor,
+      reason,
+      mergedAt: survivor.updatedAt
+    };
+    customerMerges.push(merge);
+    
+    await saveData(getAppData());
+    if (movedOrders.length > 0) {
+      io.emit('orders-bulk-updated', { action: 'customerMerge', orderIds: merge.orderIds });
+    }
+    
+    console.log(`🔀 Merged customer #${duplicate.id} into #${survivor.id} (${movedOrders.length} orders)`);
+    res.json({ customer: survivor, merge });
+  } catch (error) {
+    console.error('❌ Error merging customers:', error);
+    res.status(500).json({ message: 'Error merging customers', error: error.message });
+  }
+});
+
+// Products API
+const DEFAULT_VAT_RATE = 20;
+
+function normalizeSku(sku) {
+  return String(sku || '').trim().toUpperCase();
+}
+
+function validateProduct(product) {
+  if (!product.sku || !product.name) {
+    return 'Product sku and name are required';
+  }
+  if (typeof product.unitPrice !== 'number' || product.unitPrice < 0) {
+    return 'unitPrice must be a non-negative number';
+  }
+  if (typeof product.vatRate !== 'number' || product.vatRate < 0 || product.vatRate > 100) {
+    return 'vatRate must be a percentage between 0 and 100';
+  }
+  if (products.some(existing => existing.id !== product.id && existing.sku === product.sku)) {
+    return `SKU ${product.sku} already exists`;
+  }
+  return null;
+}
+
+// Hand-entered total of an order without items: a non-negative number, or a numeric string
+// as older clients send it. Returns { totalAmount } as a two-decimal string, the way priced
+// orders store it, {} when none is given, or { error }.
+function checkOrderTotal(totalAmount) {
+  if (totalAmount === undefined) {
+    return {};
+  }
+  const value = typeof totalAmount === 'string' && totalAmount.trim() !== '' ? Number(totalAmount) : totalAmount;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    return { error: 'totalAmount must be a non-negative number' };
+  }
+  return { totalAmount: value.toFixed(2) };
+}
+
+// Price an order's lines. Each item is { productId or sku, quantity, unitPrice?, discount? }:
+// unitPrice defaults to the catalogue price (ex VAT) and discount is £ off the line.
+// Items without a catalogue product need a name and unitPrice (or price).
+// Returns { items, subtotal, vatAmount, totalAmount } or { error }.
+function priceOrderItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'items must be a non-empty array' };
+  }
+  
+  const pricedItems = [];
+  for (const [index, item] of items.entries()) {
+    if (!item || typeof item !== 'object') {
+      return { error: `items[${index}] must be an object` };
+    }
+    
+    let product = null;
+    if (item.productId !== undefined && item.productId !== null) {
+      product = products.find(product => product.id === parseInt(item.productId));
+    } else if (item.sku) {
+      product = products.find(product => product.sku === normalizeSku(item.sku));
+    }
+    if (!product && ((item.productId !== undefined && item.productId !== null) || item.sku)) {
+      return { error: `items[${index}]: product ${item.productId !== undefined ? item.productId : item.sku} not found` };
+    }
+    if (product && product.active === false) {
+      return { error: `items[${index}]: product ${product.sku} is no longer active` };
+    }
+    
+    const name = product ? product.name : item.name;
+    const quantity = item.quantity !== undefined ? item.quantity : 1;
+    const unitPrice = item.unitPrice !== undefined ? item.unitPrice : (product ? product.unitPrice : item.price);
+    const discount = item.discount !== undefined ? item.discount : 0;
+    const vatRate = product ? product.vatRate : (item.vatRate !== undefined ? item.vatRate : DEFAULT_VAT_RATE);
+    
+    if (!name) {
+      return { error: `items[${index}] needs a productId, sku or name` };
+    }
+    if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity <= 0) {
+      return { error: `items[${index}].quantity must be a positive number` };
+    }
+    if (typeof unitPrice !== 'number' || !Number.isFinite(unitPrice) || unitPrice < 0) {
+      return { error: `items[${index}].unitPrice must be a non-negative number` };
+    }
+    if (typeof discount !== 'number' || !Number.isFinite(discount) || discount < 0 || discount > quantity * unitPrice) {
+      return { error: `items[${index}].discount must be between 0 and the line value` };
+    }
+    if (typeof vatRate !== 'number' || !Number.isFinite(vatRate) || vatRate < 0 || vatRate > 100) {
+      return { error: `items[${index}].vatRate must be a percentage between 0 and 100` };
+    }
+    
+    const netAmount = Math.round((quantity * unitPrice - discount) * 100) / 100;
+    const vatAmount = Math.round(netAmount * vatRate) / 100;
+    pricedItems.push({
+      productId: product ? product.id : null,
+      sku: product ? product.sku : null,
+      name,
+      category: product ? product.category : (item.category || ''),
+      quantity,
+      unitPrice,
+      discount,
+      vatRate,
+      netAmount,
+      vatAmount,
+      lineTotal: Math.round((netAmount + vatAmount) * 100) / 100
+    });
+  }
+  
+  const subtotal = pricedItems.reduce((sum, item) => sum + item.netAmount, 0);
+  const vatAmount = pricedItems.reduce((sum, item) => sum + item.vatAmount, 0);
+  
+  return {
+    items: pricedItems,
+    subtotal: Math.round(subtotal * 100) / 100,
+    vatAmount: Math.round(vatAmount * 100) / 100,
+    totalAmount: (Math.round((subtotal + vatAmount) * 100) / 100).toFixed(2)
+  };
+}
+
+app.get('/api/products', (req, res) => {
+  const { category, search, active } = req.query;
+  
+  let filteredProducts = [...products];
+  
+  if (category) {
+    filteredProducts = filteredProducts.filter(product => product.category === category);
+  }
+  if (active !== undefined) {
+    filteredProducts = filteredProducts.filter(product => product.active === (active === 'true'));
+  }
+  if (search) {
+    const searchLower = search.toLowerCase();
+    filteredProducts = filteredProducts.filter(product =>
+      product.sku.toLowerCase().includes(searchLower) ||
+      product.name.toLowerCase().includes(searchLower)
+    );
+  }
+  
+  res.json(filteredProducts);
+});
+
+app.get('/api/products/:id', (req, res) => {
+  const product = products.find(product => product.id === parseInt(req.params.id));
+  
+  if (!product) {
+    return res.status(404).json({ message: 'Product not found' });
+  }
+  
+  res.json(product);
+});
+
+app.post('/api/products', async (req, res) => {
+  try {
+    const { sku, name, unitPrice, vatRate = DEFAULT_VAT_RATE, category = '', active = true } = req.body;
+    const productId = await nextId('products', products);
+    const newProduct = {
+      id: productId,
+      sku: normalizeSku(sku),
+      name: (name || '').trim(),
+      unitPrice,
+      vatRate,
+      category: (category || '').trim(),
+      active: Boolean(active),
+      createdAt: new Date().toISOString()
+    };
+    
+    const validationError = validateProduct(newProduct);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    products.push(newProduct);
+    await saveData(getAppData());
+    
+    console.log('✅ New product created:', newProduct.sku, newProduct.name);
+    res.status(201).json(newProduct);
+  } catch (error) {
+    console.error('❌ Error creating product:', error);
+    res.status(500).json({ message: 'Error creating product', error: error.message });
+  }
+});
+
+// Orders keep a copy of each line's name and price, so catalogue edits do not rewrite history
+app.put('/api/products/:id', async (req, res) => {
+  try {
+    const productIndex = products.findIndex(product => product.id === parseInt(req.params.id));
+    
+    if (productIndex === -1) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const updatedProduct = { ...products[productIndex], updatedAt: new Date().toISOString() };
+    ['sku', 'name', 'unitPrice', 'vatRate', 'category', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updatedProduct[field] = req.body[field];
+      }
+    });
+    updatedProduct.sku = normalizeSku(updatedProduct.sku);
+    updatedProduct.name = String(updatedProduct.name || '').trim();
+    updatedProduct.category = String(updatedProduct.category || '').trim();
+    updatedProduct.active = Boolean(updatedProduct.active);
+    
+    const validationError = validateProduct(updatedProduct);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    products[productIndex] = updatedProduct;
+    await saveData(getAppData());
+    res.json(updatedProduct);
+  } catch (error) {
+    console.error('❌ Error updating product:', error);
+    res.status(500).json({ message: 'Error updating product', error: error.message });
+  }
+});
+
+app.delete('/api/products/:id', async (req, res) => {
+  try {
+    const productIndex = products.findIndex(product => product.id === parseInt(req.params.id));
+    
+    if (productIndex === -1) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    products.splice(productIndex, 1);
+    await saveData(getAppData());
+    res.json({ message: 'Product deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting product:', error);
+    res.status(500).json({ message: 'Error deleting product', error: error.message });
+  }
+});
+
+// Address validation
+// ADDRESS_VALIDATION=reject (default) answers 400 with field-level errors; =warn saves the
+// cleaned values and returns the problems as addressWarnings. ?addressValidation= overrides it.
+const ADDRESS_VALIDATION_MODES = ['reject', 'warn'];
+const ADDRESS_VALIDATION_MODE = ADDRESS_VALIDATION_MODES.includes(process.env.ADDRESS_VALIDATION) ? process.env.ADDRESS_VALIDATION : 'reject';
+
+const ORDER_ADDRESS_FIELDS = {
+  postcode: 'customerPostcode',
+  address: 'customerAddress',
+  text: ['shopName', 'customerName', 'customerPhone']
+};
+const CUSTOMER_ADDRESS_FIELDS = {
+  postcode: 'postcode',
+  address: 'address',
+  city: 'city',
+  text: ['shopName', 'name', 'phone']
+};
+
+function addressValidationMode(req) {
+  return ADDRESS_VALIDATION_MODES.includes(req.query.addressValidation) ? req.query.addressValidation : ADDRESS_VALIDATION_MODE;
+}
+
+// Cleans the address fields present in the request body. `values` holds the cleaned fields,
+// plus postcodeParts (outward/inward codes) whenever a postcode was sent.
+function checkAddressInput(req, fields) {
+  return checkAddressValues(req.body, fields, addressValidationMode(req));
+}
+
+function checkAddressValues(input, fields, mode) {
+  const { values, postcodeParts, errors } = normalizeAddressFields(input, fields);
+  
+  if (postcodeParts !== undefined) {
+    values.postcodeParts = postcodeParts;
+  }
+  
+  const problems = Object.keys(errors).length > 0 ? errors : null;
+  return {
+    values,
+    errors: mode === 'reject' ? problems : null,
+    warnings: mode === 'warn' ? problems : null
+  };
+}
+
+// Opening hours and delivery windows
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Opening hours are keyed by weekday, e.g. { monday: { open: '08:00', close: '17:00' }, sunday: null }
+function validateOpeningHours(openingHours) {
+  if (openingHours === undefined || openingHours === null) {
+    return null;
+  }
+  
+  if (typeof openingHours !== 'object' || Array.isArray(openingHours)) {
+    return 'openingHours must be an object keyed by weekday';
+  }
+  
+  for (const [day, hours] of Object.entries(openingHours)) {
+    if (!WEEKDAYS.includes(day)) {
+      return `Unknown weekday in openingHours: ${day}`;
+    }
+    if (hours === null) {
+      continue; // Closed all day
+    }
+    if (!hours || !TIME_PATTERN.test(hours.open) || !TIME_PATTERN.test(hours.close) || hours.open >= hours.close) {
+      return `Invalid opening hours for ${day}, expected { open: "HH:MM", close: "HH:MM" }`;
+    }
+  }
+  
+  return null;
+}
+
+// A delivery window is { start: 'HH:MM', end: 'HH:MM' } on an order or customer
+function validateDeliveryWindow(deliveryWindow) {
+  if (deliveryWindow === undefined || deliveryWindow === null) {
+    return null;
+  }
+  
+  if (typeof deliveryWindow !== 'object' || !TIME_PATTERN.test(deliveryWindow.start) ||
+      !TIME_PATTERN.test(deliveryWindow.end) || deliveryWindow.start >= deliveryWindow.end) {
+    return 'deliveryWindow must be { start: "HH:MM", end: "HH:MM" } with start before end';
+  }
+  
+  return null;
+}
+
+// "HH:MM" <-> minutes since midnight
+function parseTimeOfDay(value) {
+  if (!TIME_PATTERN.test(value || '')) {
+    return null;
+  }
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatTimeOfDay(minutes) {
+  const total = Math.round(minutes);
+  const hours = Math.floor(total / 60) % 24;
+  return `${String(hours).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Current UK wall-clock time as "HH:MM"
+function currentTimeOfDay() {
+  return new Date().toLocaleTimeString('en-GB', { timeZone: 'Europe/London', hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+function getWeekday(date) {
+  return WEEKDAYS[(new Date(`${date}T12:00:00`).getDay() + 6) % 7];
+}
+
+// Customer record behind an order: the linked customerId, else a match on phone, else on
+// postcode and shop name
+function findCustomerForOrder(order, customerList = customers) {
+  if (order.customerId !== undefined && order.customerId !== null) {
+    const linked = customerList.find(customer => customer.id === order.customerId);
+    if (linked) {
+      return linked;
+    }
+  }
+  
+  // Phone numbers compare in one format, so +44 7... and 07... are the same customer
+  if (order.customerPhone) {
+    const byPhone = customerList.find(customer => customer.phone && normalizePhone(customer.phone) === normalizePhone(order.customerPhone));
+    if (byPhone) {
+      return byPhone;
+    }
+  }
+  
+  return customerList.find(customer =>
+    normalizePostcode(customer.postcode) === normalizePostcode(order.customerPostcode) &&
+    (customer.shopName || '').toLowerCase() === (order.shopName || '').toLowerCase()
+  ) || null;
+}
+
+// Effective delivery window for an order on a date, in minutes: the order's own window,
+// then the customer's window, then the customer's opening hours for that weekday.
+// Shops closed that day get an empty window so the stop is flagged as unreachable.
+function getDeliveryWindow(order, date) {
+  const customer = findCustomerForOrder(order);
+  const window = order.deliveryWindow || (customer && customer.deliveryWindow);
+  
+  if (window && !validateDeliveryWindow(window)) {
+    return { start: parseTimeOfDay(window.start), end: parseTimeOfDay(window.end) };
+  }
+  
+  const openingHours = customer && customer.openingHours;
+  if (openingHours) {
+    const hours = openingHours[getWeekday(date)];
+    if (hours === null) {
+      return { start: 0, end: 0, closed: true };
+    }
+    if (hours) {
+      return { start: parseTimeOfDay(hours.open), end: parseTimeOfDay(hours.close) };
+    }
+  }
+  
+  return null;
+}
+
+// Zones API
+// A zone groups postcode prefixes and/or a GeoJSON polygon with the weekdays it is
+// delivered on, e.g. { name: 'Bournemouth', postcodePrefixes: ['BH1', 'BH8'], deliveryDays: ['tuesday'] }.
+// Orders placed before cutoffTime on a delivery day still go out that day.
+function validateZone(zone) {
+  if (!zone.name) {
+    return 'Zone name is required';
+  }
+  if (!Array.isArray(zone.postcodePrefixes)) {
+    return 'postcodePrefixes must be an array';
+  }
+  const invalidPrefixes = zone.postcodePrefixes.filter(prefix => !isValidPrefix(prefix));
+  if (invalidPrefixes.length > 0) {
+    return `Invalid postcode prefixes: ${invalidPrefixes.join(', ')}`;
+  }
+  if (zone.polygon !== null && zone.polygon !== undefined && !isValidPolygon(zone.polygon)) {
+    return 'polygon must be a GeoJSON Polygon or MultiPolygon';
+  }
+  if (zone.postcodePrefixes.length === 0 && !zone.polygon) {
+    return 'A zone needs postcodePrefixes or a polygon';
+  }
+  if (!Array.isArray(zone.deliveryDays) || zone.deliveryDays.length === 0 ||
+      zone.deliveryDays.some(day => !WEEKDAYS.includes(day))) {
+    return `deliveryDays must be a non-empty list of: ${WEEKDAYS.join(', ')}`;
+  }
+  if (zone.cutoffTime !== null && zone.cutoffTime !== undefined && !TIME_PATTERN.test(zone.cutoffTime)) {
+    return 'cutoffTime must be HH:MM';
+  }
+  return null;
+}
+
+// Today's date in the UK as YYYY-MM-DD
+function currentDate() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: 'Europe/London' });
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T12:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+// Next day the zone is served after `after` (a YYYY-MM-DD date). Without `after` it is the
+// next one from now: today counts only while it is before the zone's cutoff time.
+function getNextDeliveryDate(zone, { after = null } = {}) {
+  const start = after || currentDate();
+  const includeToday = !after && Boolean(zone.cutoffTime) && currentTimeOfDay() < zone.cutoffTime;
+  
+  for (let offset = includeToday ? 0 : 1; offset <= 7; offset++) {
+    const date = addDays(start, offset);
+    if (zone.deliveryDays.includes(getWeekday(date))) {
+      return date;
+    }
+  }
+  return null;
+}
+
+// Zone for an order's delivery address; polygons need coordinates, so only geocode when a zone has one
+async function findOrderZone(order) {
+  const coordinates = zones.some(zone => zone.polygon) && order.customerPostcode
+    ? await geocodePostcode(order.customerPostcode).catch(() => null)
+    : null;
+  return findZone(zones, { postcode: order.customerPostcode, coordinates });
+}
+
+function validateOrderZone({ zoneId, deliveryDate }) {
+  if (zoneId !== undefined && zoneId !== null && !zones.some(zone => zone.id === parseInt(zoneId))) {
+    return 'Zone not found';
+  }
+  if (deliveryDate !== undefined && deliveryDate !== null && !DATE_PATTERN.test(deliveryDate)) {
+    return 'deliveryDate must be YYYY-MM-DD';
+  }
+  return null;
+}
+
+// Tag an order with its zone (chosen in `input.zoneId` or matched from the postcode) and
+// the zone's next delivery date unless `input.deliveryDate` sets one
+async function tagOrderZone(order, input = {}) {
+  const zone = input.zoneId !== undefined && input.zoneId !== null
+    ? zones.find(zone => zone.id === parseInt(input.zoneId))
+    : await findOrderZone(order);
+  
+  order.zoneId = zone ? zone.id : null;
+  order.zoneName = zone ? zone.name : null;
+  order.deliveryDate = input.deliveryDate || (zone ? getNextDeliveryDate(zone) : null);
+  
+  if (zone) {
+    console.log(`🗺️ Order #${order.id} in zone ${zone.name}, delivery ${order.deliveryDate}`);
+  }
+}
+
+function normalizeZoneInput(zone) {
+  return {
+    ...zone,
+    postcodePrefixes: (zone.postcodePrefixes || []).map(normalizePrefix),
+    deliveryDays: (zone.deliveryDays || []).map(day => String(day).toLowerCase())
+  };
+}
+
+app.get('/api/zones', (req, res) => {
+  res.json(zones.map(zone => ({ ...zone, nextDeliveryDate: getNextDeliveryDate(zone) })));
+});
+
+// Which zone a postcode falls in and when it is next delivered
+app.get('/api/zones/lookup', async (req, res) => {
+  try {
+    const { postcode } = req.query;
+    if (!postcode) {
+      return res.status(400).json({ message: 'postcode is required' });
+    }
+    
+    const zone = await findOrderZone({ customerPostcode: postcode });
+    if (!zone) {
+      return res.status(404).json({ message: `No zone covers ${postcode}` });
+    }
+    
+    res.json({ zone, nextDeliveryDate: getNextDeliveryDate(zone) });
+  } catch (error) {
+    console.error('❌ Error looking up zone:', error);
+    res.status(500).json({ message: 'Error looking up zone', error: error.message });
+  }
+});
+
+app.get('/api/zones/:id', (req, res) => {
+  const zone = zones.find(zone => zone.id === parseInt(req.params.id));
+  
+  if (!zone) {
+    return res.status(404).json({ message: 'Zone not found' });
+  }
+  
+  res.json({ ...zone, nextDeliveryDate: getNextDeliveryDate(zone) });
+});
+
+app.post('/api/zones', async (req, res) => {
+  try {
+    const { name, postcodePrefixes = [], polygon = null, deliveryDays, cutoffTime = null, color = null } = req.body;
+    const newZone = normalizeZoneInput({ name, postcodePrefixes, polygon, deliveryDays, cutoffTime, color });
+    
+    const validationError = validateZone(newZone);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    const zoneId = await nextId('zones', zones);
+    const savedZone = { id: zoneId, ...newZone, createdAt: new Date().toISOString() };
+    zones.push(savedZone);
+    
+    await saveData(getAppData());
+    
+    console.log('✅ New zone created:', savedZone.id, savedZone.name);
+    res.status(201).json(savedZone);
+  } catch (error) {
+    console.error('❌ Error creating zone:', error);
+    res.status(500).json({ message: 'Error creating zone', error: error.message });
+  }
+});
+
+app.put('/api/zones/:id', async (req, res) => {
+  try {
+    const zoneIndex = zones.findIndex(zone => zone.id === parseInt(req.params.id));
+    
+    if (zoneIndex === -1) {
+      return res.status(404).json({ message: 'Zone not found' });
+    }
+    
+    const updates = {};
+    ['name', 'postcodePrefixes', 'polygon', 'deliveryDays', 'cutoffTime', 'color'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    
+    const updatedZone = normalizeZoneInput({ ...zones[zoneIndex], ...updates, updatedAt: new Date().toISOString() });
+    const validationError = validateZone(updatedZone);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    zones[zoneIndex] = updatedZone;
+    
+    // Keep the zone name on tagged orders in step
+    orders.filter(order => order.zoneId === updatedZone.id).forEach(order => {
+      order.zoneName = updatedZone.name;
+    });
+    
+    await saveData(getAppData());
+    res.json(updatedZone);
+  } catch (error) {
+    console.error('❌ Error updating zone:', error);
+    res.status(500).json({ message: 'Error updating zone', error: error.message });
+  }
+});
+
+app.delete('/api/zones/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const zoneIndex = zones.findIndex(zone => zone.id === id);
+    
+    if (zoneIndex === -1) {
+      return res.status(404).json({ message: 'Zone not found' });
+    }
+    
+    zones.splice(zoneIndex, 1);
+    
+    // Orders keep their delivery date but lose the zone tag
+    orders.filter(order => order.zoneId === id).forEach(order => {
+      order.zoneId = null;
+      order.zoneName = null;
+    });
+    
+    await saveData(getAppData());
+    res.json({ message: 'Zone deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting zone:', error);
+    res.status(500).json({ message: 'Error deleting zone', error: error.message });
+  }
+});
+
+// Depots API
+function isValidCoordinates(coordinates) {
+  return Boolean(coordinates) &&
+    typeof coordinates.lat === 'number' && coordinates.lat >= -90 && coordinates.lat <= 90 &&
+    typeof coordinates.lng === 'number' && coordinates.lng >= -180 && coordinates.lng <= 180;
+}
+
+function validateDepot(depot) {
+  if (!depot.name || !depot.postcode) {
+    return 'Depot name and postcode are required';
+  }
+  if (depot.coordinates && !isValidCoordinates(depot.coordinates)) {
+    return 'coordinates must be { lat, lng } numbers';
+  }
+  return validateOpeningHours(depot.openingHours);
+}
+
+app.get('/api/depots', (req, res) => {
+  res.json(depots);
+});
+
+app.get('/api/depots/:id', (req, res) => {
+  const depot = depots.find(depot => depot.id === parseInt(req.params.id));
+  
+  if (!depot) {
+    return res.status(404).json({ message: 'Depot not found' });
+  }
+  
+  res.json(depot);
+});
+
+app.post('/api/depots', async (req, res) => {
+  try {
+    const { name, address = '', postcode, coordinates = null, openingHours = null, isDefault = false } = req.body;
+    
+    const validationError = validateDepot({ name, postcode, coordinates, openingHours });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    const depotId = await nextId('depots', depots);
+    const newDepot = {
+      id: depotId,
+      name,
+      address,
+      postcode: postcode.trim().toUpperCase(),
+      coordinates: coordinates || await geocodePostcode(postcode).catch(() => null),
+      openingHours,
+      isDefault: Boolean(isDefault) || depots.length === 0,
+      createdAt: new Date().toISOString()
+    };
+    
+    if (newDepot.isDefault) {
+      depots.forEach(depot => { depot.isDefault = false; });
+    }
+    depots.push(newDepot);
+    
+    await saveData(getAppData());
+    
+    console.log('✅ New depot created:', newDepot.id, newDepot.name);
+    res.status(201).json(newDepot);
+  } catch (error) {
+    console.error('❌ Error creating depot:', error);
+    res.status(500).json({ message: 'Error creating depot', error: error.message });
+  }
+});
+
+app.put('/api/depots/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const depotIndex = depots.findIndex(depot => depot.id === id);
+    
+    if (depotIndex === -1) {
+      return res.status(404).json({ message: 'Depot not found' });
+    }
+    
+    const existingDepot = depots[depotIndex];
+    const updates = {};
+    ['name', 'address', 'postcode', 'coordinates', 'openingHours', 'isDefault'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    
+    const updatedDepot = { ...existingDepot, ...updates, updatedAt: new Date().toISOString() };
+    
+    const validationError = validateDepot(updatedDepot);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    updatedDepot.postcode = updatedDepot.postcode.trim().toUpperCase();
+    
+    // Re-geocode when the postcode moves and no coordinates were supplied
+    if (updates.postcode && !updates.coordinates &&
+        normalizePostcode(updates.postcode) !== normalizePostcode(existingDepot.postcode)) {
+      updatedDepot.coordinates = await geocodePostcode(updatedDepot.postcode).catch(() => null);
+    }
+    
+    if (updatedDepot.isDefault) {
+      depots.forEach(depot => { depot.isDefault = false; });
+    }
+    depots[depotIndex] = updatedDepot;
+    
+    await saveData(getAppData());
+    res.json(updatedDepot);
+  } catch (error) {
+    console.error('❌ Error updating depot:', error);
+    res.status(500).json({ message: 'Error updating depot', error: error.message });
+  }
+});
+
+app.delete('/api/depots/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const depotIndex = depots.findIndex(depot => depot.id === id);
+    
+    if (depotIndex === -1) {
+      return res.status(404).json({ message: 'Depot not found' });
+    }
+    
+    const [deletedDepot] = depots.splice(depotIndex, 1);
+    if (deletedDepot.isDefault && depots.length > 0) {
+      depots[0].isDefault = true;
+    }
+    
+    await saveData(getAppData());
+    res.json({ message: 'Depot deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting depot:', error);
+    res.status(500).json({ message: 'Error deleting depot', error: error.message });
+  }
+});
+
+// Vehicles API
+// A vehicle profile carries its capacity (baskets, orderValue, weight) and cost model:
+// mpg for petrol/diesel or milesPerKwh for electric, fuelPrice (£ per litre or kWh),
+// driverHourlyRate (£) and emissionsFactor (kg CO2e per litre or kWh)
+const VEHICLE_FUEL_TYPES = Object.keys(FUEL_DEFAULTS);
+const VEHICLE_COST_FIELDS = ['mpg', 'milesPerKwh', 'fuelPrice', 'driverHourlyRate', 'emissionsFactor'];
+const VEHICLE_FIELDS = ['name', 'registration', 'driver', 'capacity', 'fuelType', ...VEHICLE_COST_FIELDS];
+
+function findVehicle(vehicleId) {
+  return vehicles.find(vehicle => vehicle.id === parseInt(vehicleId)) || null;
+}
+
+// Merge a { vehicleId } reference over its stored profile; inline fields win
+function resolveVehicle(vehicle) {
+  const stored = vehicle && vehicle.vehicleId !== undefined ? findVehicle(vehicle.vehicleId) : null;
+  return stored ? { ...stored, ...vehicle } : vehicle;
+}
+
+function validateVehicleProfile(vehicle) {
+  if (!vehicle.name) {
+    return 'Vehicle name is required';
+  }
+  if (vehicle.fuelType !== undefined && !VEHICLE_FUEL_TYPES.includes(vehicle.fuelType)) {
+    return `fuelType must be one of: ${VEHICLE_FUEL_TYPES.join(', ')}`;
+  }
+  for (const field of VEHICLE_COST_FIELDS) {
+    const value = vehicle[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  if (vehicle.mpg === 0 || vehicle.milesPerKwh === 0) {
+    return 'Fuel consumption must be greater than zero';
+  }
+  return validateCapacity(vehicle.capacity, 'capacity');
+}
+
+// Cost figures for a vehicle: its own values over the defaults for its fuel type
+function getVehicleCostProfile(vehicle) {
+  const resolved = resolveVehicle(vehicle) || {};
+  const fuelType = VEHICLE_FUEL_TYPES.includes(resolved.fuelType) ? resolved.fuelType : 'diesel';
+  const profile = { fuelType, driverHourlyRate: DEFAULT_DRIVER_HOURLY_RATE, ...FUEL_DEFAULTS[fuelType] };
+  
+  VEHICLE_COST_FIELDS.forEach(field => {
+    if (typeof resolved[field] === 'number') {
+      profile[field] = resolved[field];
+    }
+  });
+  return profile;
+}
+
+// Fuel, CO2 and labour estimate for driving `distance` km over a working time of `minutes`
+function calculateRouteCosts({ distance, minutes }, vehicle) {
+  const profile = getVehicleCostProfile(vehicle);
+  const miles = distance / KM_PER_MILE;
+  const fuelUsed = profile.fuelType === 'electric'
+    ? { amount: miles / profile.milesPerKwh, unit: 'kWh' }
+    : { amount: miles / profile.mpg * LITRES_PER_GALLON, unit: 'litres' };
+  const fuelCost = fuelUsed.amount * profile.fuelPrice;
+  const labourCost = minutes / 60 * profile.driverHourlyRate;
+  
+  return {
+    fuelType: profile.fuelType,
+    fuelUsed: { amount: Math.round(fuelUsed.amount * 100) / 100, unit: fuelUsed.unit },
+    fuelCost: Math.round(fuelCost * 100) / 100,
+    co2Kg: Math.round(fuelUsed.amount * profile.emissionsFactor * 100) / 100,
+    labourMinutes: Math.round(minutes),
+    labourCost: Math.round(labourCost * 100) / 100,
+    totalCost: Math.round((fuelCost + labourCost) * 100) / 100
+  };
+}
+
+function sumRouteCosts(costsList) {
+  const totals = { fuelCost: 0, co2Kg: 0, labourMinutes: 0, labourCost: 0, totalCost: 0 };
+  costsList.filter(Boolean).forEach(costs => {
+    Object.keys(totals).forEach(field => {
+      totals[field] += costs[field] || 0;
+    });
+  });
+  Object.keys(totals).forEach(field => {
+    totals[field] = Math.round(totals[field] * 100) / 100;
+  });
+  return totals;
+}
+
+app.get('/api/vehicles', (req, res) => {
+  res.json(vehicles);
+});
+
+app.get('/api/vehicles/:id', (req, res) => {
+  const vehicle = findVehicle(req.params.id);
+  
+  if (!vehicle) {
+    return res.status(404).json({ message: 'Vehicle not found' });
+  }
+  
+  res.json(vehicle);
+});
+
+app.post('/api/vehicles', async (req, res) => {
+  try {
+    const newVehicle = { capacity: {}, fuelType: 'diesel' };
+    VEHICLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        newVehicle[field] = req.body[field];
+      }
+    });
+    
+    const validationError = validateVehicleProfile(newVehicle);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    const vehicleId = await nextId('vehicles', vehicles);
+    const savedVehicle = { id: vehicleId, ...newVehicle, createdAt: new Date().toISOString() };
+    vehicles.push(savedVehicle);
+    
+    await saveData(getAppData());
+    
+    console.log('✅ New vehicle created:', savedVehicle.id, savedVehicle.name);
+    res.status(201).json(savedVehicle);
+  } catch (error) {
+    console.error('❌ Error creating vehicle:', error);
+    res.status(500).json({ message: 'Error creating vehicle', error: error.message });
+  }
+});
+
+app.put('/api/vehicles/:id', async (req, res) => {
+  try {
+    const vehicleIndex = vehicles.findIndex(vehicle => vehicle.id === parseInt(req.params.id));
+    
+    if (vehicleIndex === -1) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    const updatedVehicle = { ...vehicles[vehicleIndex], updatedAt: new Date().toISOString() };
+    VEHICLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updatedVehicle[field] = req.body[field];
+      }
+    });
+    
+    const validationError = validateVehicleProfile(updatedVehicle);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    vehicles[vehicleIndex] = updatedVehicle;
+    
+    await saveData(getAppData());
+    res.json(updatedVehicle);
+  } catch (error) {
+    console.error('❌ Error updating vehicle:', error);
+    res.status(500).json({ message: 'Error updating vehicle', error: error.message });
+  }
+});
+
+app.delete('/api/vehicles/:id', async (req, res) => {
+  try {
+    const vehicleIndex = vehicles.findIndex(vehicle => vehicle.id === parseInt(req.params.id));
+    
+    if (vehicleIndex === -1) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+    
+    vehicles.splice(vehicleIndex, 1);
+    
+    await saveData(getAppData());
+    res.json({ message: 'Vehicle deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting vehicle:', error);
+    res.status(500).json({ message: 'Error deleting vehicle', error: error.message });
+  }
+});
+
+// Geocode cache API
+app.get('/api/geocode-cache', (req, res) => {
+  res.json(geocodeCache);
+});
+
+// Manual override: pin a postcode to fixed coordinates (never expires)
+app.put('/api/geocode-cache/:postcode', async (req, res) => {
+  try {
+    const { postcode } = req.params;
+    const coordinates = { lat: req.body.lat, lng: req.body.lng };
+    
+    if (!normalizePostcode(postcode) || !isValidCoordinates(coordinates)) {
+      return res.status(400).json({ message: 'A postcode and numeric lat/lng are required' });
+    }
+    
+    const entry = cacheCoordinates(postcode, coordinates, 'manual');
+    applyCoordinatesToCustomers(postcode, coordinates);
+    
+    await saveData(getAppData());
+    
+    console.log('📍 Manual geocode override saved:', entry.postcode);
+    res.json(entry);
+  } catch (error) {
+    console.error('❌ Error saving geocode override:', error);
+    res.status(500).json({ message: 'Error saving geocode override', error: error.message });
+  }
+});
+
+app.delete('/api/geocode-cache/:postcode', async (req, res) => {
+  try {
+    const key = normalizePostcode(req.params.postcode);
+    const entryIndex = geocodeCache.findIndex(entry => entry.postcode === key);
+    
+    if (entryIndex === -1) {
+      return res.status(404).json({ message: 'Postcode not in geocode cache' });
+    }
+    
+    geocodeCache.splice(entryIndex, 1);
+    await saveData(getAppData());
+    res.json({ message: 'Geocode cache entry deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting geocode cache entry:', error);
+    res.status(500).json({ message: 'Error deleting geocode cache entry', error: error.message });
+  }
+});
+
+// Routes API
+const ROUTE_STATUSES = ['draft', 'published', 'in-progress', 'completed'];
+
+// Allowed status changes; a published route can go back to draft for edits
+const ROUTE_STATUS_TRANSITIONS = {
+  draft: ['published'],
+  published: ['draft', 'in-progress'],
+  'in-progress': ['completed'],
+  completed: []
+};
+
+const ROUTE_STATUS_TIMESTAMPS = {
+  published: 'publishedAt',
+  'in-progress': 'startedAt',
+  completed: 'completedAt'
+};
+
+// Orders on these routes can still be moved to another route
+const EDITABLE_ROUTE_STATUSES = ['draft', 'published'];
+
+// Turn stop input (order objects from /api/optimize-route, { orderId } or plain ids) into
+// route stops. Returns { stops, missingOrderIds }.
+function buildPlanStops(stopInputs) {
+  const stops = [];
+  const missingOrderIds = [];
+  
+  stopInputs.forEach(input => {
+    const stop = typeof input === 'object' && input !== null ? input : { orderId: input };
+    const orderId = parseInt(stop.orderId !== undefined ? stop.orderId : stop.id);
+    const order = orders.find(order => order.id === orderId);
+    
+    if (!order) {
+      missingOrderIds.push(stop.orderId !== undefined ? stop.orderId : stop.id);
+      return;
+    }
+    
+    stops.push({
+      orderId,
+      routeOrder: stops.length + 1,
+      basketNo: order.basketNo,
+      shopName: order.shopName,
+      customerPostcode: order.customerPostcode,
+      totalAmount: order.totalAmount,
+      coordinates: stop.coordinates || null,
+      routeDistance: typeof stop.routeDistance === 'number' ? stop.routeDistance : null,
+      estimatedArrival: stop.estimatedArrival || null
+    });
+  });
+  
+  return { stops, missingOrderIds };
+}
+
+function calculateRouteTotals(route) {
+  const distance = route.stops.reduce((sum, stop) => sum + (stop.routeDistance || 0), 0) + (route.returnDistance || 0);
+  const revenue = route.stops.reduce((sum, stop) => {
+    const order = orders.find(order => order.id === stop.orderId);
+    return sum + parseFloat((order ? order.totalAmount : stop.totalAmount) || 0);
+  }, 0);
+  
+  // Driving time is kept from the optimiser; after manual edits it is estimated from distance
+  const drivingMinutes = typeof route.drivingMinutes === 'number'
+    ? route.drivingMinutes
+    : distance / DEFAULT_AVERAGE_SPEED_KMH * 60;
+  // Routes saved before serviceMinutes was stored were planned with the default
+  const serviceMinutes = typeof route.serviceMinutes === 'number' ? route.serviceMinutes : DEFAULT_SERVICE_MINUTES;
+  
+  return {
+    distance: Math.round(distance * 100) / 100,
+    stopCount: route.stops.length,
+    revenue: Math.round(revenue * 100) / 100,
+    drivingMinutes: Math.round(drivingMinutes),
+    costs: calculateRouteCosts({
+      distance,
+      minutes: drivingMinutes + route.stops.length * serviceMinutes
+    }, route.vehicle)
+  };
+}
+
+// Mark a started route's orders Out for Delivery, stepping queued orders through In Process
+function dispatchRouteOrders(route, actor = 'system') {
+  const reason = `Route #${route.id} started`;
+  
+  route.stops.forEach(stop => {
+    const order = orders.find(order => order.id === stop.orderId);
+    if (!order) {
+      return;
+    }
+    if (order.status === 'Pending') {
+      applyOrderStatus(order, 'In Process', { actor, reason });
+    }
+    if (order.status === 'In Process' || order.status === 'Failed') {
+      applyOrderStatus(order, 'Out for Delivery', { actor, reason });
+    }
+  });
+}
+
+// Orders on a route that is already out on the road cannot be moved elsewhere
+function findRouteConflicts(route) {
+  return route.stops
+    .map(stop => orders.find(order => order.id === stop.orderId))
+    .filter(order => order && order.routeId && order.routeId !== route.id)
+    .filter(order => {
+      const currentRoute = routes.find(existing => existing.id === order.routeId);
+      return currentRoute && currentRoute.status === 'in-progress';
+    })
+    .map(order => order.id);
+}
+
+// Point the route's orders at it (routeId/routeOrder), taking them off any other
+// draft or published route, and release orders that are no longer on it
+function assignOrdersToRoute(route) {
+  const stopOrderIds = route.stops.map(stop => stop.orderId);
+  
+  orders.forEach(order => {
+    if (order.routeId === route.id && !stopOrderIds.includes(order.id)) {
+      order.routeId = null;
+      order.routeOrder = null;
+    }
+  });
+  
+  route.stops.forEach(stop => {
+    const order = orders.find(order => order.id === stop.orderId);
+    if (!order) {
+      return;
+    }
+    
+    if (order.routeId && order.routeId !== route.id) {
+      const previousRoute = routes.find(existing => existing.id === order.routeId);
+      if (previousRoute && EDITABLE_ROUTE_STATUSES.includes(previousRoute.status)) {
+        removeOrderFromRoute(previousRoute, order.id);
+      }
+    }
+    
+    order.routeId = route.id;
+    order.routeOrder = stop.routeOrder;
+  });
+}
+
+function removeOrderFromRoute(route, orderId) {
+  route.stops = route.stops
+    .filter(stop => stop.orderId !== orderId)
+    .map((stop, index) => ({ ...stop, routeOrder: index + 1 }));
+  route.totals = calculateRouteTotals(route);
+  route.updatedAt = new Date().toISOString();
+}
+
+// Orders on a route that is in progress or completed stay on the driver's sheet: they cannot
+// be deleted or moved, singly or in bulk. Returns the reason, or null when the order is free.
+function routeLockMessage(order) {
+  const route = routes.find(route => route.id === order.routeId);
+  if (route && !EDITABLE_ROUTE_STATUSES.includes(route.status)) {
+    return `Order is on route #${route.id}, which is ${route.status}`;
+  }
+  return null;
+}
+
+function releaseOrdersFromRoute(route) {
+  orders.forEach(order => {
+    if (order.routeId === route.id) {
+      order.routeId = null;
+      order.routeOrder = null;
+    }
+  });
+}
+
+function validateRoutePlan(route) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(route.date || '')) {
+    return 'date must be YYYY-MM-DD';
+  }
+  if (!ROUTE_STATUSES.includes(route.status)) {
+    return `status must be one of: ${ROUTE_STATUSES.join(', ')}`;
+  }
+  if (route.depotId !== null && route.depotId !== undefined && !depots.some(depot => depot.id === parseInt(route.depotId))) {
+    return 'Depot not found';
+  }
+  if (route.serviceMinutes !== undefined && (typeof route.serviceMinutes !== 'number' || route.serviceMinutes < 0)) {
+    return 'serviceMinutes must be a non-negative number';
+  }
+  return null;
+}
+
+// Build and validate a route plan from optimised stops without saving it. Returns { route } or { error, status }.
+async function buildRoutePlan({ date, depotId = null, driver = '', vehicle = null, stops: stopInputs = [], returnToDepot = false, returnDistance = 0, drivingMinutes = null, serviceMinutes = DEFAULT_SERVICE_MINUTES, startPoint = null, notes = '' }) {
+  const { stops, missingOrderIds } = buildPlanStops(stopInputs);
+  if (missingOrderIds.length > 0) {
+    return { status: 400, error: `Orders not found: ${missingOrderIds.join(', ')}` };
+  }
+  
+  const route = {
+    id: await nextId('routes', routes),
+    date: date || new Date().toISOString().split('T')[0],
+    depotId: depotId !== null && depotId !== undefined ? parseInt(depotId) : null,
+    driver,
+    vehicle,
+    status: 'draft',
+    startPoint,
+    returnToDepot: Boolean(returnToDepot),
+    returnDistance: returnDistance || 0,
+    drivingMinutes,
+    serviceMinutes,
+    notes,
+    stops,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  
+  const validationError = validateRoutePlan(route);
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+  
+  const conflicts = findRouteConflicts(route);
+  if (conflicts.length > 0) {
+    return { status: 409, error: `Orders already on a route in progress: ${conflicts.join(', ')}` };
+  }
+  
+  route.totals = calculateRouteTotals(route);
+  return { route };
+}
+
+// Add a built plan to the saved routes and assign its orders
+function commitRoutePlan(route) {
+  routes.push(route);
+  assignOrdersToRoute(route);
+}
+
+// Create a route plan from optimised stops and assign its orders. Returns { route } or { error, status }.
+async function createRoutePlan(input) {
+  const plan = await buildRoutePlan(input);
+  if (plan.route) {
+    commitRoutePlan(plan.route);
+  }
+  return plan;
+}
+
+app.get('/api/routes', (req, res) => {
+  const { date, status, driver, depotId } = req.query;
+  
+  let filteredRoutes = [...routes];
+  
+  if (date) {
+    filteredRoutes = filteredRoutes.filter(route => route.date === date);
+  }
+  if (status) {
+    filteredRoutes = filteredRoutes.filter(route => route.status === status);
+  }
+  if (driver) {
+    filteredRoutes = filteredRoutes.filter(route => 
+      (route.driver || '').toLowerCase().includes(driver.toLowerCase())
+    );
+  }
+  if (depotId) {
+    filteredRoutes = filteredRoutes.filter(route => route.depotId === parseInt(depotId));
+  }
+  
+  res.json(filteredRoutes);
+});
+
+app.get('/api/routes/:id', (req, res) => {
+  const route = routes.find(route => route.id === parseInt(req.params.id));
+  
+  if (!route) {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+  
+  res.json(withNavigation(route));
+});
+
+// Saved route with per-stop and multi-stop navigation links for the driver app
+function withNavigation(route) {
+  const depot = findDepot({ depotId: route.depotId }) || DEFAULT_DEPOT;
+  const stops = route.stops.map(stop => ({ ...stop, navigation: stopNavigation(stop) }));
+  
+  return {
+    ...route,
+    stops,
+    navigationLinks: multiStopDirectionLinks(depot, stops, { returnToDepot: route.returnToDepot })
+  };
+}
+
+// Locate a route's depot and stops for export; stops saved without coordinates
+// are looked up through the geocode cache
+async function buildExportRoute({ name, depot, returnToDepot, stops }) {
+  const geocoding = await geocodePostcodes(stops.filter(stop => !stop.coordinates).map(stop => stop.customerPostcode));
+  
+  return {
+    name,
+    depot,
+    returnToDepot: Boolean(returnToDepot),
+    stops: stops.map((stop, index) => ({
+      ...stop,
+      routeOrder: stop.routeOrder || index + 1,
+      coordinates: stop.coordinates || geocoding.results.get(normalizePostcode(stop.customerPostcode)) || null
+    }))
+  };
+}
+
+function sendRouteExport(res, exportRoutesList, format, fileName) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${extension}"`);
+  res.send(exportRoutes(exportRoutesList, format));
+}
+
+// Export a saved route for sat-navs and maps (?format=geojson|gpx|kml)
+app.get('/api/routes/:id/export', async (req, res) => {
+  try {
+    const { format = 'geojson' } = req.query;
+    const route = routes.find(route => route.id === parseInt(req.params.id));
+    
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    
+    const exportRoute = await buildExportRoute({
+      name: `Route #${route.id} ${route.date}`,
+      depot: findDepot({ depotId: route.depotId }) || DEFAULT_DEPOT,
+      returnToDepot: route.returnToDepot,
+      stops: route.stops
+    });
+    
+    console.log(`🗺️ Exporting route #${route.id} as ${format}`);
+    sendRouteExport(res, [exportRoute], format, `route-${route.id}-${route.date}`);
+  } catch (error) {
+    console.error('❌ Error exporting route:', error);
+    res.status(500).json({ message: 'Error exporting route', error: error.message });
+  }
+});
+
+// Export an /api/optimize-route response (single or multi-vehicle) without saving it first
+app.post('/api/routes/export', async (req, res) => {
+  try {
+    const { format = 'geojson' } = req.query;
+    const { route, routes: vehicleRoutes, depot, startPoint, startCoordinates, returnToDepot, date } = req.body;
+    
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    if (!Array.isArray(route) && !Array.isArray(vehicleRoutes)) {
+      return res.status(400).json({ message: 'Body must be an optimize-route result with route or routes' });
+    }
+    
+    const knownDepot = findDepot({ depotId: depot ? depot.id : undefined, startPostcode: startPoint });
+    const exportDepot = {
+      name: depot ? depot.name : (knownDepot ? knownDepot.name : 'Start'),
+      postcode: startPoint || (knownDepot ? knownDepot.postcode : ''),
+      coordinates: isValidCoordinates(startCoordinates) ? startCoordinates : (knownDepot ? knownDepot.coordinates : null)
+    };
+    const routeDate = date || new Date().toISOString().split('T')[0];
+    
+    const exportRoutesList = [];
+    if (Array.isArray(vehicleRoutes)) {
+      for (const [index, vehicleRoute] of vehicleRoutes.entries()) {
+        exportRoutesList.push(await buildExportRoute({
+          name: `${(vehicleRoute.vehicle && vehicleRoute.vehicle.name) || `Vehicle ${index + 1}`} ${routeDate}`,
+          depot: exportDepot,
+          returnToDepot,
+          stops: vehicleRoute.route || []
+        }));
+      }
+    } else {
+      exportRoutesList.push(await buildExportRoute({ name: `Route ${routeDate}`, depot: exportDepot, returnToDepot, stops: route }));
+    }
+    
+    console.log(`🗺️ Exporting optimised route as ${format}`);
+    sendRouteExport(res, exportRoutesList, format, `route-${routeDate}`);
+  } catch (error) {
+    console.error('❌ Error exporting route:', error);
+    res.status(500).json({ message: 'Error exporting route', error: error.message });
+  }
+});
+
+app.post('/api/routes', async (req, res) => {
+  try {
+    const { orderIds, stops } = req.body;
+    const { route, error, status } = await createRoutePlan({ ...req.body, stops: stops || orderIds || [] });
+    
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
     
-    // Broadcast order update to all connected clients
-    io.emit('order-updated', { orderId: id, updatedOrder });
-    console.log('📡 Broadcasted order update to all clients');
+    await saveData(getAppData());
     
-    console.log('💾 Data saved successfully to MongoDB with recalculated analytics');
-    res.json(updatedOrder);
+    console.log('✅ New route created:', route.id, route.date, `${route.stops.length} stops`);
+    res.status(201).json(route);
   } catch (error) {
-    console.error('❌ Error updating order:', error);
-    res.status(500).json({ message: 'Error updating order', error: error.message });
+    console.error('❌ Error creating route:', error);
+    res.status(500).json({ message: 'Error creating route', error: error.message });
   }
 });
 
-app.delete('/api/orders/:id', async (req, res) => {
+app.put('/api/routes/:id', async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const orderIndex = orders.findIndex(order => order.id === id);
+    const routeIndex = routes.findIndex(route => route.id === id);
     
-    if (orderIndex === -1) {
-      return res.status(404).json({ message: 'Order not found' });
+    if (routeIndex === -1) {
+      return res.status(404).json({ message: 'Route not found' });
     }
     
-    orders.splice(orderIndex, 1);
+    const existingRoute = routes[routeIndex];
+    const updatedRoute = { ...existingRoute, updatedAt: new Date().toISOString() };
+    ['date', 'depotId', 'driver', 'vehicle', 'notes', 'returnToDepot', 'returnDistance', 'startPoint', 'serviceMinutes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updatedRoute[field] = req.body[field];
+      }
+    });
     
-    // Recalculate analytics data after deleting order
-    const { dailySales: newDailySales, weeklySales: newWeeklySales, predictions: newPredictions, reports: newReports, notifications: newNotifications } = recalculateAnalytics(orders);
+    const { status } = req.body;
+    if (status !== undefined && status !== existingRoute.status) {
+      if (!ROUTE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${ROUTE_STATUSES.join(', ')}` });
+      }
+      if (!ROUTE_STATUS_TRANSITIONS[existingRoute.status].includes(status)) {
+        return res.status(409).json({ message: `Route cannot move from ${existingRoute.status} to ${status}` });
+      }
+      updatedRoute.status = status;
+      if (ROUTE_STATUS_TIMESTAMPS[status]) {
+        updatedRoute[ROUTE_STATUS_TIMESTAMPS[status]] = new Date().toISOString();
+      }
+    }
     
-    // Update global variables with recalculated data
-    dailySales.length = 0;
-    dailySales.push(...newDailySales);
-    weeklySales.length = 0;
-    weeklySales.push(...newWeeklySales);
-    predictions.length = 0;
-    predictions.push(...newPredictions);
-    reports.length = 0;
-    reports.push(...newReports);
-    notifications.length = 0;
-    notifications.push(...newNotifications);
+    const newStops = req.body.stops || req.body.orderIds;
+    if (newStops !== undefined) {
+      if (!EDITABLE_ROUTE_STATUSES.includes(existingRoute.status)) {
+        return res.status(409).json({ message: `Stops cannot be changed once a route is ${existingRoute.status}` });
+      }
+      const { stops, missingOrderIds } = buildPlanStops(newStops);
+      if (missingOrderIds.length > 0) {
+        return res.status(400).json({ message: `Orders not found: ${missingOrderIds.join(', ')}` });
+      }
+      updatedRoute.stops = stops;
+      updatedRoute.drivingMinutes = null;
+    }
     
-    // Save to MongoDB if connected, otherwise fallback to file
-    await saveData({ orders, customers, dailySales, weeklySales, predictions, reports, notifications });
+    const validationError = validateRoutePlan(updatedRoute);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
     
-    // Broadcast order deletion to all connected clients
-    io.emit('order-updated', { orderId: id, deleted: true });
-    console.log('📡 Broadcasted order deletion to all clients');
+    const conflicts = findRouteConflicts(updatedRoute);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ message: `Orders already on a route in progress: ${conflicts.join(', ')}` });
+    }
     
-    console.log('✅ Order deleted and saved to MongoDB:', id);
-    res.json({ message: 'Order deleted' });
+    updatedRoute.depotId = updatedRoute.depotId !== null && updatedRoute.depotId !== undefined ? parseInt(updatedRoute.depotId) : null;
+    updatedRoute.totals = calculateRouteTotals(updatedRoute);
+    routes[routeIndex] = updatedRoute;
+    assignOrdersToRoute(updatedRoute);
+    
+    // Starting the route puts its orders on the van
+    if (updatedRoute.status === 'in-progress' && existingRoute.status !== 'in-progress') {
+      dispatchRouteOrders(updatedRoute, req.body.actor);
+    }
+    
+    await saveData(getAppData());
+    res.json(updatedRoute);
   } catch (error) {
-    console.error('❌ Error deleting order:', error);
-    res.status(500).json({ message: 'Error deleting order', error: error.message });
+    console.error('❌ Error updating route:', error);
+    res.status(500).json({ message: 'Error updating route', error: error.message });
   }
 });
 
-// Mapbox Route Optimization API
-app.post('/api/optimize-route', async (req, res) => {
+// Re-sequence the undelivered stops of a route that is already out, starting from the
+// driver's current position. Delivered stops keep their place, orders that were deleted,
+// cancelled, failed or returned drop off and `addOrderIds` joins new orders to the route.
+app.post('/api/routes/:id/reoptimize', async (req, res) => {
   try {
-    const { startPostcode = "BH13 7EX", orders: requestOrders = [] } = req.body;
-    const ordersToOptimize = requestOrders.length > 0 ? requestOrders : orders;
-    const activeOrders = ordersToOptimize.filter(order => 
-      order.status === 'Pending' || order.status === 'In Process'
-    );
-
-    console.log(`🔴 Route optimization requested for ${activeOrders.length} active orders`);
-    console.log(`🔴 Start postcode: ${startPostcode}`);
-
-    if (activeOrders.length === 0) {
-      return res.json({
-        route: [],
-        totalDistance: 0,
-        startPoint: startPostcode,
-        message: 'No active orders to optimize'
-      });
+    const id = parseInt(req.params.id);
+    const route = routes.find(route => route.id === id);
+    
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
     }
-
-    if (!MAPBOX_TOKEN) {
-      return res.json({
-        route: activeOrders,
-        totalDistance: 0,
-        startPoint: startPostcode,
-        message: 'Mapbox token required for full optimization'
-      });
+    
+    if (!['published', 'in-progress'].includes(route.status)) {
+      return res.status(409).json({ message: `Only published or in-progress routes can be re-optimised (route is ${route.status})` });
     }
-
-    // Depot coordinates (Poole)
-    const depotCoords = { lng: -1.9876, lat: 50.7128 };
-    console.log(`🔴 Depot coordinates: [${depotCoords.lng}, ${depotCoords.lat}]`);
-
-    // Step 1: Geocode all postcodes
-    const ordersWithCoordinates = [];
     
-    for (const order of activeOrders) {
-      if (!order.customerPostcode) {
-        console.log(`⚠️ Order ${order.id} (Basket ${order.basketNo}) skipped - no postcode`);
-        continue;
-      }
-      
-      try {
-        console.log(`📍 Geocoding: ${order.customerPostcode} for Order #${order.basketNo}`);
-        const geocodingUrl = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(order.customerPostcode)}.json?access_token=${MAPBOX_TOKEN}&country=GB`;
-        const response = await axios.get(geocodingUrl);
-        
-        if (response.data.features && response.data.features.length > 0) {
-          const [lng, lat] = response.data.features[0].center;
-          console.log(`✅ Order #${order.basketNo} geocoded: [${lng}, ${lat}]`);
-          ordersWithCoordinates.push({
-            ...order,
-            coordinates: { lng, lat }
-          });
-        } else {
-          console.log(`❌ Order #${order.basketNo} - no geocoding results for: ${order.customerPostcode}`);
-          ordersWithCoordinates.push({
-            ...order,
-            coordinates: null
-          });
-        }
-      } catch (err) {
-        console.error(`❌ Geocoding error for Order #${order.basketNo}:`, err.message);
-        ordersWithCoordinates.push({
-          ...order,
-          coordinates: null
-        });
-      }
+    const {
+      currentPosition,
+      currentTime,
+      addOrderIds = [],
+      averageSpeedKmh,
+      serviceMinutes = typeof route.serviceMinutes === 'number' ? route.serviceMinutes : DEFAULT_SERVICE_MINUTES
+    } = req.body;
+    
+    if (!isValidCoordinates(currentPosition)) {
+      return res.status(400).json({ message: 'currentPosition must be { lat, lng } numbers' });
     }
-
-    // Step 2: Filter orders with valid coordinates
-    const validOrders = ordersWithCoordinates.filter(order => order.coordinates);
-    console.log(`🔴 Valid orders with coordinates: ${validOrders.length}/${activeOrders.length}`);
-
-    if (validOrders.length === 0) {
-      return res.json({
-        route: activeOrders,
-        totalDistance: 0,
-        startPoint: startPostcode,
-        message: 'No orders with valid coordinates found'
-      });
+    if (currentTime !== undefined && parseTimeOfDay(currentTime) === null) {
+      return res.status(400).json({ message: 'currentTime must be HH:MM' });
     }
-
-    // Step 3: Calculate distances from depot and sort
-    const ordersWithDistance = validOrders.map(order => ({
-      ...order,
-      distanceFromDepot: calculateHaversineDistance(
-        depotCoords.lat, depotCoords.lng,
-        order.coordinates.lat, order.coordinates.lng
-      )
-    }));
-
-    // Sort by distance from depot (nearest first)
-    ordersWithDistance.sort((a, b) => a.distanceFromDepot - b.distanceFromDepot);
-
-    console.log(`🔴 Orders sorted by distance from depot:`);
-    ordersWithDistance.forEach((order, index) => {
-      console.log(`  ${index + 1}. Order #${order.basketNo} (${order.customerPostcode}) - ${order.distanceFromDepot.toFixed(2)} km`);
+    if ((averageSpeedKmh !== undefined && (typeof averageSpeedKmh !== 'number' || averageSpeedKmh <= 0)) || typeof serviceMinutes !== 'number' || serviceMinutes < 0) {
+      return res.status(400).json({ message: 'averageSpeedKmh must be a positive number and serviceMinutes a non-negative number' });
+    }
+    if (!Array.isArray(addOrderIds)) {
+      return res.status(400).json({ message: 'addOrderIds must be an array' });
+    }
+    
+    const missingOrderIds = addOrderIds.filter(orderId => !orders.some(order => order.id === parseInt(orderId)));
+    if (missingOrderIds.length > 0) {
+      return res.status(400).json({ message: `Orders not found: ${missingOrderIds.join(', ')}` });
+    }
+    
+    // Split the current stops into delivered, dropped and still to do
+    const deliveredStops = [];
+    const removedOrderIds = [];
+    const remainingOrders = [];
+    
+    route.stops.forEach(stop => {
+      const order = orders.find(order => order.id === stop.orderId);
+      if (!order || ['Cancelled', 'Failed', 'Returned'].includes(order.status)) {
+        removedOrderIds.push(stop.orderId);
+      } else if (order.status === 'Delivered') {
+        deliveredStops.push(stop);
+      } else {
+        remainingOrders.push({ ...order, coordinates: stop.coordinates || order.coordinates || null });
+      }
     });
-
-    // Step 4: Build optimized route
-    const optimizedRoute = [];
-    let totalRouteDistance = 0;
-    let previousLocation = depotCoords;
-
-    ordersWithDistance.forEach((order, index) => {
-      const distanceToOrder = calculateHaversineDistance(
-        previousLocation.lat, previousLocation.lng,
-        order.coordinates.lat, order.coordinates.lng
-      );
-      
-      order.routeDistance = distanceToOrder;
-      order.routeOrder = index + 1;
-      totalRouteDistance += distanceToOrder;
-      optimizedRoute.push(order);
-      
-      console.log(`🚗 Route stop ${index + 1}: Order #${order.basketNo} (${order.customerPostcode}) - ${distanceToOrder.toFixed(2)} km`);
-      
-      previousLocation = order.coordinates;
+    
+    const addedOrderIds = [];
+    addOrderIds.map(orderId => parseInt(orderId)).forEach(orderId => {
+      if (route.stops.some(stop => stop.orderId === orderId) || addedOrderIds.includes(orderId)) {
+        return;
+      }
+      const order = orders.find(order => order.id === orderId);
+      remainingOrders.push({ ...order, coordinates: order.coordinates || null });
+      addedOrderIds.push(orderId);
     });
-
-    // Add orders without coordinates at the end
-    const ordersWithoutCoordinates = ordersWithCoordinates.filter(order => !order.coordinates);
-    if (ordersWithoutCoordinates.length > 0) {
-      console.log(`⚠️ Adding ${ordersWithoutCoordinates.length} orders without coordinates at the end`);
-      optimizedRoute.push(...ordersWithoutCoordinates);
+    
+    // Locate stops that have never been geocoded
+    const geocoding = await geocodePostcodes(remainingOrders.filter(order => !order.coordinates).map(order => order.customerPostcode));
+    remainingOrders.forEach(order => {
+      if (!order.coordinates) {
+        order.coordinates = geocoding.results.get(normalizePostcode(order.customerPostcode)) || null;
+      }
+    });
+    
+    const depot = findDepot({ depotId: route.depotId });
+    const depotCoords = (depot && depot.coordinates) || DEFAULT_DEPOT.coordinates;
+    const locatedOrders = remainingOrders.filter(order => order.coordinates);
+    const unlocatedOrders = remainingOrders.filter(order => !order.coordinates);
+    
+    // Node 0 is the van: legs leave from its current position, and a leg back to
+    // node 0 is costed as the drive back to the depot (the matrices are asymmetric)
+    const points = [currentPosition, ...locatedOrders.map(order => order.coordinates), depotCoords];
+    const travel = await getTravelMatrix(points, averageSpeedKmh);
+    const depotIndex = points.length - 1;
+    const toVanMatrix = matrix => matrix.slice(0, depotIndex).map(row =>
+      row.slice(0, depotIndex).map((value, toIndex) => (toIndex === 0 ? row[depotIndex] : value))
+    );
+    const distanceMatrix = toVanMatrix(travel.distances);
+    const durationMatrix = toVanMatrix(travel.durations);
+    
+    const windows = [null, ...locatedOrders.map(order => getDeliveryWindow(order, route.date))];
+    let timeWindows = null;
+    if (currentTime !== undefined || windows.some(Boolean)) {
+      timeWindows = {
+        departureTime: currentTime !== undefined ? parseTimeOfDay(currentTime) : parseTimeOfDay(currentTimeOfDay()),
+        durationMatrix,
+        windows,
+        serviceTimes: [0, ...locatedOrders.map(() => serviceMinutes)]
+      };
     }
-
-    console.log(`✅ Route optimization completed!`);
-    console.log(`📊 Total distance: ${totalRouteDistance.toFixed(2)} km`);
-    console.log(`📋 Final route:`, optimizedRoute.map(order => `#${order.basketNo} (${order.customerPostcode})`));
-
+    
+    const returnToDepot = Boolean(route.returnToDepot);
+    const { sequence, distance: remainingDistance, schedule = null } = timeWindows
+      ? optimizeRouteWithTimeWindows(distanceMatrix, { ...timeWindows, returnToDepot })
+      : optimizeRoute(distanceMatrix, { returnToDepot });
+    const { stops: remainingStops, returnDistance } = buildRouteStops(sequence, locatedOrders, distanceMatrix, {
+      returnToDepot,
+      schedule,
+      windows
+    });
+    
+    const { stops } = buildPlanStops([...deliveredStops, ...remainingStops, ...unlocatedOrders]);
+    const updatedRoute = {
+      ...route,
+      stops,
+      returnDistance,
+      drivingMinutes: null,
+      serviceMinutes,
+      lastKnownPosition: { ...currentPosition, recordedAt: new Date().toISOString() },
+      reoptimizedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    const conflicts = findRouteConflicts(updatedRoute);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ message: `Orders already on a route in progress: ${conflicts.join(', ')}` });
+    }
+    
+    updatedRoute.totals = calculateRouteTotals(updatedRoute);
+    routes[routes.indexOf(route)] = updatedRoute;
+    assignOrdersToRoute(updatedRoute);
+    if (updatedRoute.status === 'in-progress') {
+      dispatchRouteOrders(updatedRoute, req.body.actor);
+    }
+    
+    await saveData(getAppData());
+    
+    // Push the new sequence to the driver app and office screens
+    io.emit('route-updated', { routeId: id, route: withNavigation(updatedRoute), removedOrderIds, addedOrderIds });
+    console.log(`📡 Route #${id} re-optimised: ${remainingStops.length} remaining stops, ${remainingDistance.toFixed(2)} km to go`);
+    
     res.json({
-      route: optimizedRoute,
-      totalDistance: Math.round(totalRouteDistance * 100) / 100,
-      startPoint: startPostcode,
-      message: 'Route optimized successfully with distance-based sorting'
+      route: withNavigation(updatedRoute),
+      remainingStops: remainingStops.length + unlocatedOrders.length,
+      remainingDistance: Math.round(remainingDistance * 100) / 100,
+      remainingDrivingMinutes: Math.round(sequenceDistance(durationMatrix, sequence, returnToDepot)),
+      distanceSource: travel.source,
+      removedOrderIds,
+      addedOrderIds,
+      unlocatedOrderIds: unlocatedOrders.map(order => order.id),
+      schedule: summarizeSchedule(schedule, remainingStops)
     });
-
   } catch (error) {
-    console.error('❌ Route optimization error:', error);
-    res.status(500).json({ 
-      message: 'Error optimizing route',
-      error: error.message 
-    });
+    console.error('❌ Error re-optimising route:', error);
+    res.status(500).json({ message: 'Error re-optimising route', error: error.message });
   }
 });
 
-// Haversine distance calculation
-function calculateHaversineDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
-
-// Customers API
-app.get('/api/customers', (req, res) => {
-  const { page = 1, limit = 10, sortBy = 'shopName', sortOrder = 'asc' } = req.query;
-  
-  // Sort customers by shop name
-  let sortedCustomers = [...customers];
-  
-  if (sortBy === 'shopName') {
-    sortedCustomers.sort((a, b) => {
-      const shopNameA = (a.shopName || '').toLowerCase();
-      const shopNameB = (b.shopName || '').toLowerCase();
-      
-      if (sortOrder === 'desc') {
-        return shopNameB.localeCompare(shopNameA);
-      } else {
-        return shopNameA.localeCompare(shopNameB);
-      }
-    });
-  }
-  
-  // Calculate pagination
-  const pageNum = parseInt(page);
-  const limitNum = parseInt(limit);
-  const startIndex = (pageNum - 1) * limitNum;
-  const endIndex = startIndex + limitNum;
-  
-  // Get paginated results
-  const paginatedCustomers = sortedCustomers.slice(startIndex, endIndex);
-  
-  // Return response with pagination info
-  res.json({
-    customers: paginatedCustomers,
-    pagination: {
-      currentPage: pageNum,
-      totalPages: Math.ceil(sortedCustomers.length / limitNum),
-      totalCustomers: sortedCustomers.length,
-      customersPerPage: limitNum,
-      hasNextPage: endIndex < sortedCustomers.length,
-      hasPrevPage: pageNum > 1
+app.delete('/api/routes/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const routeIndex = routes.findIndex(route => route.id === id);
+    
+    if (routeIndex === -1) {
+      return res.status(404).json({ message: 'Route not found' });
     }
-  });
-});
-
-app.post('/api/customers', (req, res) => {
-  const newCustomer = {
-    id: customers.length + 1,
-    ...req.body
-  };
-  customers.push(newCustomer);
-  saveData({ orders, customers, dailySales, weeklySales, predictions, reports, notifications });
-  res.status(201).json(newCustomer);
-});
-
-app.put('/api/customers/:id', (req, res) => {
-  const id = parseInt(req.params.id);
-  const customerIndex = customers.findIndex(customer => customer.id === id);
-  
-  if (customerIndex === -1) {
-    return res.status(404).json({ message: 'Customer not found' });
-  }
-  
-  customers[customerIndex] = { ...customers[customerIndex], ...req.body };
-  saveData({ orders, customers, dailySales, weeklySales, predictions, reports, notifications });
-  res.json(customers[customerIndex]);
-});
-
-app.delete('/api/customers/:id', (req, res) => {
-  const id = parseInt(req.params.id);
-  const customerIndex = customers.findIndex(customer => customer.id === id);
-  
-  if (customerIndex === -1) {
-    return res.status(404).json({ message: 'Customer not found' });
+    
+    const [deletedRoute] = routes.splice(routeIndex, 1);
+    releaseOrdersFromRoute(deletedRoute);
+    
+    await saveData(getAppData());
+    res.json({ message: 'Route deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting route:', error);
+    res.status(500).json({ message: 'Error deleting route', error: error.message });
   }
-  
-  customers.splice(customerIndex, 1);
-  saveData({ orders, customers, dailySales, weeklySales, predictions, reports, notifications });
-  res.json({ message: 'Customer deleted' });
 });
 
 // Print route endpoint
 app.post('/api/print-route', async (req, res) => {
   try {
-    const { orders = [] } = req.body;
+    // The sheet tells drivers to return to the depot, so the estimate includes the drive back
+    const { orders = [], depotId, startPostcode, returnToDepot = true, vehicle = null } = req.body;
+    const depot = findDepot({ depotId, startPostcode });
+    if (depotId && !depot) {
+      return res.status(404).json({ message: 'Depot not found' });
+    }
+    const startLabel = depot ? `${depot.postcode} (${depot.name})` : startPostcode;
     
     console.log('=== PDF GENERATION DEBUG ===');
     console.log('Received orders:', orders);
@@ -917,6 +4809,25 @@ app.post('/api/print-route', async (req, res) => {
     if (!orders.length) {
       return res.status(400).json({ message: 'No orders to print' });
     }
+    if (vehicle && vehicle.vehicleId !== undefined && !findVehicle(vehicle.vehicleId)) {
+      return res.status(404).json({ message: 'Vehicle not found' });
+    }
+
+    // Road distance and time following the printed stop order
+    let startCoordinates = depot ? depot.coordinates : null;
+    if (!startCoordinates && startPostcode) {
+      startCoordinates = (await geocodePostcodes([startPostcode])).results.get(normalizePostcode(startPostcode)) || null;
+    }
+    const travel = await estimateRouteTravel(orders, { startCoordinates, returnToDepot });
+    const directionLinks = multiStopDirectionLinks(
+      { coordinates: startCoordinates, postcode: depot ? depot.postcode : startPostcode },
+      orders,
+      { returnToDepot }
+    );
+    const costs = travel ? calculateRouteCosts({ distance: travel.distance, minutes: travel.totalMinutes }, vehicle) : null;
+    if (travel) {
+      console.log(`🛣️ Route sheet estimate (${travel.source}): ${travel.distance} km, ${travel.totalMinutes} minutes`);
+    }
 
     const doc = new PDFDocument({ 
       size: 'A4',
@@ -952,7 +4863,7 @@ app.post('/api/print-route', async (req, res) => {
     // Right column
     doc.fontSize(10).font('Helvetica');
     doc.text(new Date().toLocaleDateString('en-GB'), 150, 110);
-    doc.text('BH13 7EX (Poole Depot)', 150, 125);
+    doc.text(startLabel, 150, 125);
     doc.text(orders.length.toString(), 150, 140);
     doc.text('_________________', 150, 155);
     
@@ -1006,7 +4917,7 @@ app.post('/api/print-route', async (req, res) => {
       doc.text(order.shopName || 'N/A', startX + colWidths[0] + 5, currentY);
       doc.text(order.customerName || 'N/A', startX + colWidths[0] + colWidths[1] + 5, currentY);
       doc.text(order.customerAddress || 'N/A', startX + colWidths[0] + colWidths[1] + colWidths[2] + 5, currentY);
-      doc.text(order.customerPostcode || 'N/A', startX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3] + 5, currentY);
+      doc.text(order.customerPostcode || 'N/A', startX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3] + 5, currentY, { link: stopNavigation(order).googleMaps });
       doc.text(`£${order.totalAmount || '0'}`, startX + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3] + colWidths[4] + 5, currentY);
       
       currentY += 30;
@@ -1021,7 +4932,7 @@ app.post('/api/print-route', async (req, res) => {
     
     // Summary box
     const summaryY = 100;
-    doc.rect(50, summaryY, 495, 120).stroke();
+    doc.rect(50, summaryY, 495, 180).stroke();
     
     // Calculate totals
     const totalRevenue = orders.reduce((sum, order) => {
@@ -1038,8 +4949,12 @@ app.post('/api/print-route', async (req, res) => {
     doc.text(`• Total Orders: ${orders.length}`, 70, summaryY + 40);
     doc.text(`• Total Revenue: £${totalRevenue.toFixed(2)}`, 70, summaryY + 55);
     doc.text(`• Average Order Value: £${avgOrderValue.toFixed(2)}`, 70, summaryY + 70);
-    doc.text(`• Route Distance: TBD km`, 70, summaryY + 85);
-    doc.text(`• Estimated Time: TBD minutes`, 70, summaryY + 100);
+    doc.text(`• Route Distance: ${travel ? `${travel.distance.toFixed(2)} km` : 'N/A'}`, 70, summaryY + 85);
+    doc.text(`• Estimated Time: ${travel ? `${travel.totalMinutes} minutes (${travel.drivingMinutes} driving)` : 'N/A'}`, 70, summaryY + 100);
+    doc.text(`• Estimated Fuel Cost: ${costs ? `£${costs.fuelCost.toFixed(2)} (${costs.fuelUsed.amount.toFixed(1)} ${costs.fuelUsed.unit})` : 'N/A'}`, 70, summaryY + 115);
+    doc.text(`• Estimated CO2: ${costs ? `${costs.co2Kg.toFixed(1)} kg` : 'N/A'}`, 70, summaryY + 130);
+    doc.text(`• Driver Cost: ${costs ? `£${costs.labourCost.toFixed(2)}` : 'N/A'}`, 70, summaryY + 145);
+    doc.text(`• Total Operating Cost: ${costs ? `£${costs.totalCost.toFixed(2)}` : 'N/A'}`, 70, summaryY + 160);
     
     // ===== DELIVERY NOTES =====
     doc.moveDown(3);
@@ -1048,13 +4963,36 @@ app.post('/api/print-route', async (req, res) => {
     doc.moveDown(0.5);
     
     doc.fontSize(10).font('Helvetica');
-    doc.text('• Start delivery from Poole Depot (BH13 7EX)');
+    doc.text(`• Start delivery from ${startLabel}`);
     doc.text('• Follow the route order for maximum efficiency');
     doc.text('• Collect payment at each delivery point');
     doc.text('• Update order status after each delivery');
     doc.text('• Contact customer if delivery issues arise');
     doc.text('• Return to depot after completing all deliveries');
     
+    // ===== NAVIGATION LINKS =====
+    doc.moveDown(1);
+    
+    doc.fontSize(14).font('Helvetica-Bold').text('NAVIGATION:', { underline: true });
+    doc.moveDown(0.5);
+    
+    doc.fontSize(10).font('Helvetica');
+    directionLinks.forEach(link => {
+      const from = link.fromStop === 0 ? 'Depot' : `stop ${link.fromStop}`;
+      const to = link.toStop === 0 ? 'Depot' : `stop ${link.toStop}`;
+      doc.fillColor('blue').text(`• Google Maps directions: ${from} to ${to}`, { link: link.url, underline: true });
+    });
+    doc.moveDown(0.5);
+    
+    orders.forEach((order, index) => {
+      const navigation = stopNavigation(order);
+      doc.fillColor('black').text(`${index + 1}. ${order.shopName || 'N/A'} (${order.customerPostcode || 'N/A'}): `, { continued: true });
+      doc.fillColor('blue').text('Google Maps', { link: navigation.googleMaps, underline: true, continued: true });
+      doc.fillColor('black').text('  |  ', { link: null, underline: false, continued: true });
+      doc.fillColor('blue').text('Waze', { link: navigation.waze, underline: true });
+    });
+    doc.fillColor('black');
+    
     // ===== FOOTER =====
     doc.moveDown(2);
     
@@ -1116,18 +5054,24 @@ app.get('/api/daily-sales/:date', (req, res) => {
   }
 });
 
-app.post('/api/daily-sales', (req, res) => {
+app.post('/api/daily-sales', async (req, res) => {
   try {
-    const data = loadData();
-    const dailySales = data.dailySales || [];
+    const { date } = req.body;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      return res.status(400).json({ message: 'date must be YYYY-MM-DD' });
+    }
+    if (dailySales.some(sale => sale.date === date)) {
+      return res.status(409).json({ message: `Daily sale for ${date} already exists` });
+    }
+    
     const newDailySale = {
-      id: dailySales.length + 1,
       ...req.body,
+      id: dailySaleId(date),
       createdAt: new Date().toISOString()
     };
     
     dailySales.push(newDailySale);
-    saveData({ ...data, dailySales });
+    await saveData(getAppData());
     
     res.status(201).json(newDailySale);
   } catch (error) {
@@ -1162,6 +5106,8 @@ app.get('/api/analytics', (req, res) => {
     const inProcessOrders = orders.filter(order => order.status === 'In Process').length;
     const deliveredOrders = orders.filter(order => order.status === 'Delivered').length;
     const cancelledOrders = orders.filter(order => order.status === 'Cancelled').length;
+    const failedOrders = orders.filter(order => order.status === 'Failed').length;
+    const failedAttempts = summarizeFailedAttempts(orders);
     
     const totalRevenue = orders.reduce((sum, order) => sum + parseFloat(order.totalAmount || 0), 0);
     const averageOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
@@ -1195,16 +5141,23 @@ app.get('/api/analytics', (req, res) => {
     
     console.log('📊 Today\'s orders count:', todaysOrders);
     
+    const productBreakdown = summarizeProductSales(orders);
+    
     const analytics = {
       totalOrders,
       pendingOrders,
       inProcessOrders,
       deliveredOrders,
       cancelledOrders,
+      failedOrders,
+      failedAttempts: failedAttempts.total,
+      failureReasons: failedAttempts.reasons,
       totalRevenue,
       averageOrderValue,
       topShops,
       todaysOrders,
+      productBreakdown,
+      categoryBreakdown: summarizeCategorySales(productBreakdown),
       dailySales,
       weeklySales,
       predictions,
@@ -1243,18 +5196,24 @@ app.get('/api/weekly-sales/:week', (req, res) => {
   }
 });
 
-app.post('/api/weekly-sales', (req, res) => {
+app.post('/api/weekly-sales', async (req, res) => {
   try {
-    const data = loadData();
-    const weeklySales = data.weeklySales || [];
+    const { week } = req.body;
+    if (!/^\d{4}-W\d{1,2}$/.test(week || '')) {
+      return res.status(400).json({ message: 'week must be YYYY-Www (e.g. 2025-W31)' });
+    }
+    if (weeklySales.some(sale => sale.week === week)) {
+      return res.status(409).json({ message: `Weekly sale for ${week} already exists` });
+    }
+    
     const newWeeklySale = {
-      id: weeklySales.length + 1,
       ...req.body,
+      id: weeklySaleId(week),
       createdAt: new Date().toISOString()
     };
     
     weeklySales.push(newWeeklySale);
-    saveData({ ...data, weeklySales });
+    await saveData(getAppData());
     
     res.status(201).json(newWeeklySale);
   } catch (error) {
@@ -1340,7 +5299,7 @@ app.post('/api/calculate-weekly-sales/:week', (req, res) => {
     });
     
     const weeklySale = {
-      id: Date.now(),
+      id: weeklySaleId(week),
       week,
       startDate: startDate.toISOString().split('T')[0],
       endDate: endDate.toISOString().split('T')[0],
@@ -1501,6 +5460,51 @@ app.get('/api/reports', (req, res) => {
   }
 });
 
+// Weekly operating costs accumulated from saved routes (drafts are only plans and are left out)
+app.get('/api/reports/operating-costs', (req, res) => {
+  try {
+    const { from, to, includeDrafts } = req.query;
+    const weeks = {};
+    
+    routes
+      .filter(route => includeDrafts === 'true' || route.status !== 'draft')
+      .filter(route => (!from || route.date >= from) && (!to || route.date <= to))
+      .forEach(route => {
+        const week = getWeekNumber(new Date(route.date));
+        const totals = route.totals && route.totals.costs ? route.totals : calculateRouteTotals(route);
+        
+        if (!weeks[week]) {
+          weeks[week] = { week, routes: 0, stops: 0, distance: 0, drivingMinutes: 0, revenue: 0, costs: [] };
+        }
+        weeks[week].routes += 1;
+        weeks[week].stops += totals.stopCount;
+        weeks[week].distance += totals.distance;
+        weeks[week].drivingMinutes += totals.drivingMinutes || 0;
+        weeks[week].revenue += totals.revenue;
+        weeks[week].costs.push(totals.costs);
+      });
+    
+    const report = Object.values(weeks)
+      .sort((a, b) => a.week.localeCompare(b.week, undefined, { numeric: true }))
+      .map(({ costs, ...week }) => {
+        const totalCosts = sumRouteCosts(costs);
+        return {
+          ...week,
+          distance: Math.round(week.distance * 100) / 100,
+          revenue: Math.round(week.revenue * 100) / 100,
+          ...totalCosts,
+          costPerStop: week.stops > 0 ? Math.round(totalCosts.totalCost / week.stops * 100) / 100 : 0,
+          costShareOfRevenue: week.revenue > 0 ? Math.round(totalCosts.totalCost / week.revenue * 1000) / 10 : null
+        };
+      });
+    
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Error generating operating cost report:', error);
+    res.status(500).json({ message: 'Error generating operating cost report', error: error.message });
+  }
+});
+
 app.post('/api/reports/export', (req, res) => {
   try {
     const { reportData, format } = req.body;
@@ -1691,19 +5695,17 @@ app.get('/api/notifications', (req, res) => {
   }
 });
 
-app.post('/api/notifications', (req, res) => {
+app.post('/api/notifications', async (req, res) => {
   try {
-    const data = loadData();
-    const notifications = data.notifications || [];
     const newNotification = {
-      id: Date.now(),
       ...req.body,
+      id: await nextId('notifications', notifications),
       timestamp: new Date().toISOString(),
       read: false
     };
     
     notifications.unshift(newNotification);
-    saveData({ ...data, notifications });
+    await saveData(getAppData());
     
     res.status(201).json(newNotification);
   } catch (error) {
@@ -1750,14 +5752,14 @@ app.delete('/api/notifications/:id', (req, res) => {
 });
 
 // Send push notification
-app.post('/api/notifications/send', (req, res) => {
+app.post('/api/notifications/send', async (req, res) => {
   try {
     const { title, body, type, priority } = req.body;
     
     // In a real app, this would integrate with push notification services
     // like Firebase Cloud Messaging, OneSignal, etc.
     const notification = {
-      id: Date.now(),
+      id: await nextId('notifications', notifications),
       title,
       body,
       type: type || 'info',
@@ -1767,10 +5769,8 @@ app.post('/api/notifications/send', (req, res) => {
     };
     
     // Save to notifications
-    const data = loadData();
-    const notifications = data.notifications || [];
     notifications.unshift(notification);
-    saveData({ ...data, notifications });
+    await saveData(getAppData());
     
     res.json({ 
       success: true, 
@@ -1836,7 +5836,7 @@ app.post('/api/calculate-daily-sales/:date', (req, res) => {
     });
     
     const dailySale = {
-      id: Date.now(),
+      id: dailySaleId(date),
       date,
       totalRevenue,
       totalOrders: dayOrders.length,
@@ -0,0 +1,100 @@
+// Duplicate customer detection. Pairs are scored from 0 to 1 on three signals:
+//   phone     same number once UK formats are normalised (+44 7..., 0044 7..., 07...)
+//   postcode  same postcode ignoring spacing and case
+//   name      fuzzy shop name similarity (edit distance on the cleaned names)
+
+const WEIGHTS = { phone: 0.45, postcode: 0.25, name: 0.3 };
+
+// Words that do not tell two shops apart
+const NAME_STOPWORDS = ['the', 'ltd', 'limited', 'and', 'co', 'shop', 'uk'];
+
+// "+44 7467 898243", "0044 7467898243" and "07467 898243" -> "447467898243"
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('0044')) return digits.slice(2);
+  if (digits.startsWith('44')) return digits;
+  if (digits.startsWith('0')) return `44${digits.slice(1)}`;
+  return digits;
+}
+
+// "Kebbab's Barber Shop" -> "kebbabs barber"
+function normalizeShopName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !NAME_STOPWORDS.includes(word))
+    .join(' ');
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for identical cleaned names, 0 for nothing in common. Spaces are ignored so
+// "barber 77" and "barber77" count as the same name.
+function nameSimilarity(a, b) {
+  const left = normalizeShopName(a).replace(/ /g, '');
+  const right = normalizeShopName(b).replace(/ /g, '');
+  if (!left || !right) {
+    return 0;
+  }
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+// Returns { score, reasons } for two customer records
+function scoreCustomerPair(a, b) {
+  const phoneA = normalizePhone(a.phone);
+  const phoneMatch = phoneA.length >= 10 && phoneA === normalizePhone(b.phone);
+  const postcodeA = String(a.postcode || '').replace(/\s+/g, '').toUpperCase();
+  const postcodeMatch = Boolean(postcodeA) && postcodeA === String(b.postcode || '').replace(/\s+/g, '').toUpperCase();
+  const similarity = nameSimilarity(a.shopName, b.shopName);
+
+  const reasons = [];
+  if (phoneMatch) reasons.push('phone');
+  if (postcodeMatch) reasons.push('postcode');
+  if (similarity >= 0.8) reasons.push('name');
+
+  const score = (phoneMatch ? WEIGHTS.phone : 0) + (postcodeMatch ? WEIGHTS.postcode : 0) + similarity * WEIGHTS.name;
+  return {
+    score: Math.round(score * 100) / 100,
+    nameSimilarity: Math.round(similarity * 100) / 100,
+    reasons
+  };
+}
+
+// Candidate pairs scoring at least minScore, best first
+function findDuplicateCandidates(customers, { minScore = 0.5 } = {}) {
+  const candidates = [];
+  for (let i = 0; i < customers.length; i++) {
+    for (let j = i + 1; j < customers.length; j++) {
+      const match = scoreCustomerPair(customers[i], customers[j]);
+      if (match.score >= minScore) {
+        candidates.push({ customerIds: [customers[i].id, customers[j].id], ...match });
+      }
+    }
+  }
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  normalizePhone,
+  normalizeShopName,
+  nameSimilarity,
+  scoreCustomerPair,
+  findDuplicateCandidates
+};
@@ -0,0 +1,233 @@
+const axios = require('axios');
+
+// Distance matrix providers share one interface:
+//   name             provider id reported back as the matrix `source`
+//   isAvailable()    whether the provider can be used right now
+//   getMatrix(points) resolves to { distances, durations } for points [{ lng, lat }],
+//                    square matrices in kilometres and minutes (row = from, column = to)
+
+// A routing server that stops answering must not hold an optimisation open indefinitely
+const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+
+function emptyMatrix(size) {
+  return Array.from({ length: size }, () => new Array(size).fill(0));
+}
+
+function haversineKm(from, to) {
+  const R = 6371;
+  const dLat = (to.lat - from.lat) * Math.PI / 180;
+  const dLng = (to.lng - from.lng) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(from.lat * Math.PI / 180) * Math.cos(to.lat * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Table APIs cap the coordinates per request, so larger matrices are requested as
+// blocks of sources x destinations and stitched together. fetchBlock(sources, destinations)
+// receives point indexes and resolves to { distances, durations } in metres and seconds.
+// The block count grows with the square of the points, so a matrix that would take more than
+// maxRequests calls is refused up front and the chain falls through to the next provider.
+async function fetchMatrixInBlocks(points, maxCoordinates, fetchBlock, { maxRequests = Infinity } = {}) {
+  const indexes = points.map((point, index) => index);
+  const blockSize = points.length <= maxCoordinates ? points.length : Math.floor(maxCoordinates / 2);
+
+  const blocks = [];
+  for (let start = 0; start < indexes.length; start += blockSize) {
+    blocks.push(indexes.slice(start, start + blockSize));
+  }
+  if (blocks.length * blocks.length > maxRequests) {
+    throw new Error(`${points.length} points need ${blocks.length * blocks.length} matrix requests (limit ${maxRequests})`);
+  }
+
+  const distances = emptyMatrix(points.length);
+  const durations = emptyMatrix(points.length);
+
+  for (const sources of blocks) {
+    for (const destinations of blocks) {
+      const block = await fetchBlock(sources, destinations);
+      sources.forEach((from, row) => {
+        destinations.forEach((to, column) => {
+          const metres = block.distances[row][column];
+          const seconds = block.durations[row][column];
+          if (metres === null || seconds === null) {
+            throw new Error(`No road route between points ${from} and ${to}`);
+          }
+          distances[from][to] = metres / 1000;
+          durations[from][to] = seconds / 60;
+        });
+      });
+    }
+  }
+
+  return { distances, durations };
+}
+
+// Pick the coordinates of one block and the source/destination positions within them
+function blockCoordinates(points, sources, destinations) {
+  const blockIndexes = sources === destinations ? sources : [...sources, ...destinations];
+  return {
+    coordinates: blockIndexes.map(index => `${points[index].lng},${points[index].lat}`).join(';'),
+    sources: sources.map((index, position) => position).join(';'),
+    destinations: destinations.map((index, position) => (sources === destinations ? position : sources.length + position)).join(';')
+  };
+}
+
+class MapboxMatrixProvider {
+  constructor(token, { profile = 'driving', timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS, maxRequests = 9 } = {}) {
+    this.name = 'mapbox';
+    this.token = token;
+    this.profile = profile;
+    // Mapbox Matrix API limit for the driving profiles
+    this.maxCoordinates = 25;
+    this.timeoutMs = timeoutMs;
+    // Each block is a billed, rate-limited call: 9 requests cover up to 36 points
+    this.maxRequests = maxRequests;
+  }
+
+  isAvailable() {
+    return Boolean(this.token);
+  }
+
+  async getMatrix(points) {
+    return fetchMatrixInBlocks(points, this.maxCoordinates, async (sources, destinations) => {
+      const block = blockCoordinates(points, sources, destinations);
+      const url = `https://api.mapbox.com/directions-matrix/v1/mapbox/${this.profile}/${block.coordinates}` +
+        `?sources=${block.sources}&destinations=${block.destinations}&annotations=distance,duration&access_token=${this.token}`;
+      const response = await axios.get(url, { timeout: this.timeoutMs });
+      return { distances: response.data.distances, durations: response.data.durations };
+    }, { maxRequests: this.maxRequests });
+  }
+}
+
+// OSRM table service, e.g. a local osrm-backend container built from a Geofabrik extract
+class OsrmMatrixProvider {
+  constructor(baseUrl, { profile = 'driving', maxCoordinates = 100, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+    this.name = 'osrm';
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.profile = profile;
+    // osrm-routed --max-table-size defaults to 100
+    this.maxCoordinates = maxCoordinates;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isAvailable() {
+    return Boolean(this.baseUrl);
+  }
+
+  async getMatrix(points) {
+    return fetchMatrixInBlocks(points, this.maxCoordinates, async (sources, destinations) => {
+      const block = blockCoordinates(points, sources, destinations);
+      const url = `${this.baseUrl}/table/v1/${this.profile}/${block.coordinates}` +
+        `?sources=${block.sources}&destinations=${block.destinations}&annotations=distance,duration`;
+      const response = await axios.get(url, { timeout: this.timeoutMs });
+      if (response.data.code !== 'Ok') {
+        throw new Error(`OSRM table error: ${response.data.code}`);
+      }
+      return { distances: response.data.distances, durations: response.data.durations };
+    });
+  }
+}
+
+// Offline fallback: crow-flies distance scaled up by a detour factor to approximate
+// the road network, with durations from an average driving speed
+class HaversineMatrixProvider {
+  constructor({ detourFactor = 1.3, averageSpeedKmh = 30 } = {}) {
+    this.name = 'haversine';
+    this.detourFactor = detourFactor;
+    this.averageSpeedKmh = averageSpeedKmh;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async getMatrix(points) {
+    const distances = points.map((from, fromIndex) => points.map((to, toIndex) =>
+      fromIndex === toIndex ? 0 : haversineKm(from, to) * this.detourFactor
+    ));
+    const durations = distances.map(row => row.map(km => km / this.averageSpeedKmh * 60));
+    return { distances, durations };
+  }
+}
+
+function copyMatrix(matrix) {
+  return matrix.map(row => row.slice());
+}
+
+// Tries each available provider in turn; an engine that errors or cannot route
+// between two points falls through to the next one. Answers are cached by the exact
+// point list, so re-optimising the same stops does not hit the providers again.
+class DistanceMatrixChain {
+  constructor(providers, { cacheSize = 50, cacheTtlMs = 60 * 60 * 1000 } = {}) {
+    this.providers = providers;
+    this.cacheSize = cacheSize;
+    this.cacheTtlMs = cacheTtlMs;
+    // Insertion ordered, so the first key is the least recently used
+    this.cache = new Map();
+  }
+
+  cacheKey(points) {
+    return points.map(point => `${point.lng.toFixed(6)},${point.lat.toFixed(6)}`).join(';');
+  }
+
+  cached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+    this.cache.delete(key);
+    if (Date.now() - entry.storedAt > this.cacheTtlMs) return null;
+    this.cache.set(key, entry);
+    return entry;
+  }
+
+  remember(key, matrix) {
+    this.cache.set(key, { ...matrix, storedAt: Date.now() });
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  availableProviders() {
+    return this.providers.filter(provider => provider.isAvailable()).map(provider => provider.name);
+  }
+
+  // Resolves to { distances, durations, source }
+  async getMatrix(points) {
+    if (points.length <= 1) {
+      return { distances: emptyMatrix(points.length), durations: emptyMatrix(points.length), source: null };
+    }
+
+    // Callers may adjust the matrices they get, so the cache hands out copies
+    const key = this.cacheKey(points);
+    const hit = this.cached(key);
+    if (hit) {
+      return { distances: copyMatrix(hit.distances), durations: copyMatrix(hit.durations), source: hit.source };
+    }
+
+    let fellThrough = false;
+    for (const provider of this.providers) {
+      if (!provider.isAvailable()) continue;
+
+      try {
+        const matrix = await provider.getMatrix(points);
+        // A fallback answer is not cached, so the preferred engine is retried next time
+        if (!fellThrough) {
+          this.remember(key, { distances: copyMatrix(matrix.distances), durations: copyMatrix(matrix.durations), source: provider.name });
+        }
+        return { ...matrix, source: provider.name };
+      } catch (error) {
+        fellThrough = true;
+        console.error(`❌ ${provider.name} distance matrix error:`, error.message);
+      }
+    }
+    throw new Error('No distance matrix provider available');
+  }
+}
+
+module.exports = {
+  MapboxMatrixProvider,
+  OsrmMatrixProvider,
+  HaversineMatrixProvider,
+  DistanceMatrixChain
+};
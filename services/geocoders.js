@@ -0,0 +1,208 @@
+const fs = require('fs');
+const readline = require('readline');
+const axios = require('axios');
+
+// Geocoders share one interface:
+//   name          provider id stored as the geocode cache `source`
+//   isAvailable() whether the provider can be used right now
+//   geocode(pc)   resolves to { lng, lat } or null when the postcode is unknown
+
+function normalizePostcode(postcode) {
+  return (postcode || '').replace(/\s+/g, '').toUpperCase();
+}
+
+// Minimal CSV line parser (quoted fields, doubled quotes inside quotes)
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+
+  return fields.map(field => field.trim());
+}
+
+// Column names accepted for the postcode centroid CSV. Covers the ONS Postcode
+// Directory (pcds/lat/long) as well as a plain postcode,lat,lng export.
+const POSTCODE_COLUMNS = ['pcds', 'pcd', 'pcd2', 'postcode'];
+const LATITUDE_COLUMNS = ['lat', 'latitude'];
+const LONGITUDE_COLUMNS = ['long', 'lng', 'lon', 'longitude'];
+
+function findColumn(headers, candidates) {
+  const lowerHeaders = headers.map(header => header.toLowerCase());
+  for (const candidate of candidates) {
+    const index = lowerHeaders.indexOf(candidate);
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+// Stream a postcode centroid CSV, calling onRow(postcode, { lng, lat }) for every usable row.
+// `areas` optionally limits the import to postcode areas such as ['BH', 'PO', 'SO'].
+async function readPostcodeCentroids(filePath, onRow, { areas = [] } = {}) {
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const areaPattern = areas.length > 0 ? new RegExp(`^(${areas.join('|')})\\d`, 'i') : null;
+
+  let columns = null;
+  let count = 0;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    const fields = parseCsvLine(line);
+    if (!columns) {
+      columns = {
+        postcode: findColumn(fields, POSTCODE_COLUMNS),
+        lat: findColumn(fields, LATITUDE_COLUMNS),
+        lng: findColumn(fields, LONGITUDE_COLUMNS)
+      };
+      if (columns.postcode === -1 || columns.lat === -1 || columns.lng === -1) {
+        lines.close();
+        input.destroy();
+        throw new Error(`Postcode CSV needs postcode, lat and long columns: ${filePath}`);
+      }
+      continue;
+    }
+
+    const postcode = normalizePostcode(fields[columns.postcode]);
+    const lat = parseFloat(fields[columns.lat]);
+    const lng = parseFloat(fields[columns.lng]);
+
+    // ONSPD uses 99.999999/0.000000 for postcodes without a grid reference
+    if (!postcode || isNaN(lat) || isNaN(lng) || lat > 90) continue;
+    if (areaPattern && !areaPattern.test(postcode)) continue;
+
+    onRow(postcode, { lng, lat });
+    count++;
+  }
+
+  return count;
+}
+
+class MapboxGeocoder {
+  constructor(token) {
+    this.name = 'mapbox';
+    this.token = token;
+  }
+
+  isAvailable() {
+    return Boolean(this.token);
+  }
+
+  async geocode(postcode) {
+    if (!this.token || !postcode) {
+      return null;
+    }
+
+    const geocodingUrl = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(postcode)}.json?access_token=${this.token}&country=GB`;
+    const response = await axios.get(geocodingUrl);
+
+    if (response.data.features && response.data.features.length > 0) {
+      const [lng, lat] = response.data.features[0].center;
+      return { lng, lat };
+    }
+    return null;
+  }
+}
+
+// Offline geocoder backed by a locally loaded postcode centroid CSV.
+// The file is read lazily on first use so startup is not slowed down.
+class OfflinePostcodeGeocoder {
+  constructor(filePath, { areas = [] } = {}) {
+    this.name = 'offline';
+    this.filePath = filePath;
+    this.areas = areas;
+    this.centroids = new Map();
+    this.loading = null;
+  }
+
+  isAvailable() {
+    return this.centroids.size > 0 || (Boolean(this.filePath) && fs.existsSync(this.filePath));
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = readPostcodeCentroids(this.filePath, (postcode, coordinates) => {
+        this.centroids.set(postcode, coordinates);
+      }, { areas: this.areas })
+        .then(count => {
+          console.log(`📮 Loaded ${count} postcode centroids from ${this.filePath}`);
+          return count;
+        })
+        .catch(error => {
+          console.error('❌ Error loading postcode centroids:', error.message);
+          this.loading = null;
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  async geocode(postcode) {
+    if (this.centroids.size === 0) {
+      await this.load();
+    }
+    return this.centroids.get(normalizePostcode(postcode)) || null;
+  }
+}
+
+// Tries each available provider in turn; a provider that errors (e.g. a Mapbox
+// outage) or has no match falls through to the next one.
+class GeocoderChain {
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  isAvailable() {
+    return this.providers.some(provider => provider.isAvailable());
+  }
+
+  availableProviders() {
+    return this.providers.filter(provider => provider.isAvailable()).map(provider => provider.name);
+  }
+
+  // Resolves to { coordinates, source } or null
+  async geocode(postcode) {
+    for (const provider of this.providers) {
+      if (!provider.isAvailable()) continue;
+
+      try {
+        const coordinates = await provider.geocode(postcode);
+        if (coordinates) {
+          return { coordinates, source: provider.name };
+        }
+      } catch (error) {
+        console.error(`❌ ${provider.name} geocoding error for ${postcode}:`, error.message);
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  MapboxGeocoder,
+  OfflinePostcodeGeocoder,
+  GeocoderChain,
+  readPostcodeCentroids
+};
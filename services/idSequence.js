@@ -0,0 +1,91 @@
+const fs = require('fs');
+
+// Numeric ID sequences kept in a JSON file ({ "orders": 128, "customers": 41, ... }) for
+// file-based storage. Each allocation reads, bumps and rewrites the file while holding a
+// lock file, so concurrent requests in this process and other processes sharing the file
+// never get the same ID. The file is replaced with a rename, so a crash mid-write leaves
+// the previous counters intact.
+class FileSequenceStore {
+  constructor(file, { lockTimeoutMs = 5000, staleLockMs = 30000 } = {}) {
+    this.file = file;
+    this.lockFile = `${file}.lock`;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.staleLockMs = staleLockMs;
+    // Requests in this process queue here instead of polling the lock file
+    this.queue = Promise.resolve();
+  }
+
+  async acquireLock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    for (;;) {
+      try {
+        return await fs.promises.open(this.lockFile, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        // A lock left behind by a crashed process is taken over once it is stale
+        const stat = await fs.promises.stat(this.lockFile).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > this.staleLockMs) {
+          await fs.promises.rm(this.lockFile, { force: true });
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for ID counter lock ${this.lockFile}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    }
+  }
+
+  async withLock(task) {
+    const run = this.queue.then(async () => {
+      const lock = await this.acquireLock();
+      try {
+        return await task();
+      } finally {
+        await lock.close();
+        await fs.promises.rm(this.lockFile, { force: true });
+      }
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async readCounters() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  // Reserves `count` consecutive IDs above both the stored counter and `floor` (the highest
+  // ID already in use) and resolves to the first one
+  async next(name, { floor = 0, count = 1 } = {}) {
+    return this.withLock(async () => {
+      const counters = await this.readCounters();
+      const first = Math.max(counters[name] || 0, floor) + 1;
+      counters[name] = first + count - 1;
+
+      const tempFile = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(counters, null, 2));
+      await fs.promises.rename(tempFile, this.file);
+      return first;
+    });
+  }
+}
+
+// Highest numeric id in a collection, so counters never hand out an ID that records created
+// before the counters existed (or restored from a backup) already use
+function highestId(records) {
+  return records.reduce((max, record) => (Number.isFinite(record.id) && record.id > max ? record.id : max), 0);
+}
+
+module.exports = {
+  FileSequenceStore,
+  highestId
+};
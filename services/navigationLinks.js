@@ -0,0 +1,79 @@
+// Navigation deep links so drivers can hand a stop or a run of stops to Google Maps or Waze.
+// Stops are { coordinates: { lng, lat }, customerPostcode }; coordinates are preferred and
+// the postcode is the fallback for stops that could not be geocoded.
+
+// Google Maps URLs accept at most 9 waypoints between origin and destination
+// (fewer on some mobile browsers), so longer routes are split across several links.
+const GOOGLE_MAPS_MAX_WAYPOINTS = 9;
+
+function locationParam(place) {
+  if (place && place.coordinates) {
+    return `${place.coordinates.lat},${place.coordinates.lng}`;
+  }
+  return place && (place.customerPostcode || place.postcode) ? `${place.customerPostcode || place.postcode}, UK` : null;
+}
+
+function googleMapsLink(place) {
+  const destination = locationParam(place);
+  return destination
+    ? `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(destination)}&travelmode=driving`
+    : null;
+}
+
+function wazeLink(place) {
+  if (place && place.coordinates) {
+    return `https://waze.com/ul?ll=${encodeURIComponent(`${place.coordinates.lat},${place.coordinates.lng}`)}&navigate=yes`;
+  }
+  const query = locationParam(place);
+  return query ? `https://waze.com/ul?q=${encodeURIComponent(query)}&navigate=yes` : null;
+}
+
+function stopNavigation(stop) {
+  return {
+    googleMaps: googleMapsLink(stop),
+    waze: wazeLink(stop)
+  };
+}
+
+// Consecutive Google Maps direction links covering the whole sequence. Each link starts
+// where the previous one ended, so the driver opens the next one on arrival.
+// Returns [{ url, fromStop, toStop }] with 1-based stop numbers (0 is the depot).
+function multiStopDirectionLinks(start, stops, { returnToDepot = false, maxWaypoints = GOOGLE_MAPS_MAX_WAYPOINTS } = {}) {
+  const places = [
+    { place: start, stopNumber: 0 },
+    ...stops.map((stop, index) => ({ place: stop, stopNumber: index + 1 }))
+  ];
+  if (returnToDepot) {
+    places.push({ place: start, stopNumber: 0 });
+  }
+
+  const located = places.filter(({ place }) => locationParam(place));
+  const links = [];
+
+  for (let originIndex = 0; originIndex < located.length - 1; originIndex += maxWaypoints + 1) {
+    const destinationIndex = Math.min(originIndex + maxWaypoints + 1, located.length - 1);
+    const waypoints = located.slice(originIndex + 1, destinationIndex);
+
+    let url = 'https://www.google.com/maps/dir/?api=1' +
+      `&origin=${encodeURIComponent(locationParam(located[originIndex].place))}` +
+      `&destination=${encodeURIComponent(locationParam(located[destinationIndex].place))}` +
+      '&travelmode=driving';
+    if (waypoints.length > 0) {
+      url += `&waypoints=${encodeURIComponent(waypoints.map(({ place }) => locationParam(place)).join('|'))}`;
+    }
+
+    links.push({
+      url,
+      fromStop: located[originIndex].stopNumber,
+      toStop: located[destinationIndex].stopNumber
+    });
+  }
+
+  return links;
+}
+
+module.exports = {
+  GOOGLE_MAPS_MAX_WAYPOINTS,
+  stopNavigation,
+  multiStopDirectionLinks
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { GridFSBucket, ObjectId } = require('mongodb');
+
+// Proof-of-delivery file stores share one interface:
+//   name                       storage id recorded with each stored file
+//   save(buffer, contentType)  resolves to the stored file id
+//   read(fileId)               resolves to the file contents as a Buffer
+//   remove(fileId)             deletes the file, ignoring files that are already gone
+
+const SIGNATURE_TYPES = ['image/svg+xml', 'image/png'];
+// PDFKit can only embed JPEG and PNG, so the receipt can show every accepted photo
+const PHOTO_TYPES = ['image/jpeg', 'image/png'];
+
+const EXTENSIONS = {
+  'image/svg+xml': 'svg',
+  'image/png': 'png',
+  'image/jpeg': 'jpg'
+};
+
+// "data:image/png;base64,iVBOR..." -> { contentType, buffer }, or { error } when the value
+// is not a base64 data URL of an allowed type or is larger than maxBytes
+function decodeDataUrl(value, allowedTypes, maxBytes) {
+  const match = typeof value === 'string' ? value.match(/^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/) : null;
+  if (!match) {
+    return { error: 'must be a base64 data URL (data:<type>;base64,...)' };
+  }
+
+  const contentType = match[1].toLowerCase();
+  if (!allowedTypes.includes(contentType)) {
+    return { error: `must be one of: ${allowedTypes.join(', ')}` };
+  }
+
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length === 0) {
+    return { error: 'is empty' };
+  }
+  if (buffer.length > maxBytes) {
+    return { error: `is larger than ${Math.round(maxBytes / 1024)} KB` };
+  }
+  return { contentType, buffer };
+}
+
+class LocalProofStorage {
+  constructor(directory) {
+    this.name = 'local';
+    this.directory = directory;
+  }
+
+  filePath(fileId) {
+    // File ids are generated here; anything else could point outside the upload directory
+    if (!/^[a-f0-9-]+\.(svg|png|jpg)$/.test(fileId)) {
+      throw new Error(`Invalid file id: ${fileId}`);
+    }
+    return path.join(this.directory, fileId);
+  }
+
+  async save(buffer, contentType) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const fileId = `${crypto.randomUUID()}.${EXTENSIONS[contentType]}`;
+    await fs.promises.writeFile(this.filePath(fileId), buffer);
+    return fileId;
+  }
+
+  async read(fileId) {
+    return fs.promises.readFile(this.filePath(fileId));
+  }
+
+  async remove(fileId) {
+    await fs.promises.rm(this.filePath(fileId), { force: true });
+  }
+}
+
+class GridFsProofStorage {
+  constructor(db, { bucketName = 'proofOfDelivery' } = {}) {
+    this.name = 'gridfs';
+    this.bucket = new GridFSBucket(db, { bucketName });
+  }
+
+  async save(buffer, contentType) {
+    return new Promise((resolve, reject) => {
+      const upload = this.bucket.openUploadStream(`${crypto.randomUUID()}.${EXTENSIONS[contentType]}`, {
+        metadata: { contentType }
+      });
+      upload.on('error', reject);
+      upload.on('finish', () => resolve(upload.id.toString()));
+      upload.end(buffer);
+    });
+  }
+
+  async read(fileId) {
+    const chunks = [];
+    for await (const chunk of this.bucket.openDownloadStream(new ObjectId(fileId))) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  async remove(fileId) {
+    try {
+      await this.bucket.delete(new ObjectId(fileId));
+    } catch (error) {
+      if (!/FileNotFound|File not found/i.test(error.message)) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Signature pads export SVG as <path d="..."> or <polyline points="..."> strokes.
+// Returns { viewBox: [minX, minY, width, height], paths } so the strokes can be redrawn
+// as PDF vector paths, or null when the SVG has no strokes we understand.
+function signatureSvgPaths(svg) {
+  const source = String(svg);
+  const paths = [];
+
+  for (const match of source.matchAll(/<path\b[^>]*\sd\s*=\s*"([^"]+)"/gi)) {
+    paths.push(match[1]);
+  }
+  for (const match of source.matchAll(/<polyline\b[^>]*\spoints\s*=\s*"([^"]+)"/gi)) {
+    const points = match[1].trim().split(/[\s,]+/).map(Number);
+    if (points.length >= 4 && points.every(Number.isFinite)) {
+      const segments = [];
+      for (let i = 0; i < points.length - 1; i += 2) {
+        segments.push(`${i === 0 ? 'M' : 'L'}${points[i]} ${points[i + 1]}`);
+      }
+      paths.push(segments.join(' '));
+    }
+  }
+  if (paths.length === 0) {
+    return null;
+  }
+
+  const viewBoxMatch = source.match(/viewBox\s*=\s*"([^"]+)"/i);
+  const viewBox = viewBoxMatch ? viewBoxMatch[1].trim().split(/[\s,]+/).map(Number) : null;
+  if (viewBox && viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { viewBox, paths };
+  }
+
+  const width = parseFloat((source.match(/<svg\b[^>]*\swidth\s*=\s*"([\d.]+)/i) || [])[1]);
+  const height = parseFloat((source.match(/<svg\b[^>]*\sheight\s*=\s*"([\d.]+)/i) || [])[1]);
+  return { viewBox: [0, 0, width > 0 ? width : 300, height > 0 ? height : 150], paths };
+}
+
+module.exports = {
+  SIGNATURE_TYPES,
+  PHOTO_TYPES,
+  decodeDataUrl,
+  LocalProofStorage,
+  GridFsProofStorage,
+  signatureSvgPaths
+};
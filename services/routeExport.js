@@ -0,0 +1,174 @@
+// Route export formats for sat-navs and map tools.
+//
+// Every exporter takes a list of routes in the same shape:
+//   { name, depot: { name, postcode, coordinates }, returnToDepot,
+//     stops: [{ routeOrder, basketNo, shopName, customerPostcode, coordinates }] }
+// Coordinates are { lng, lat }; stops without coordinates are left out of the geometry.
+
+const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function stopLabel(stop) {
+  const basket = stop.basketNo !== undefined && stop.basketNo !== null && stop.basketNo !== '' ? `#${stop.basketNo} ` : '';
+  return `${stop.routeOrder}. ${basket}${stop.shopName || 'Unknown shop'} (${stop.customerPostcode || 'no postcode'})`;
+}
+
+// Ordered waypoints of a route: depot start, stops, and the depot again when the van returns
+function routeWaypoints(route) {
+  const depot = route.depot || {};
+  const depotLabel = [depot.name, depot.postcode].filter(Boolean).join(' ') || 'Depot';
+  const waypoints = [];
+
+  if (depot.coordinates) {
+    waypoints.push({ kind: 'depot', role: 'start', label: `Start: ${depotLabel}`, coordinates: depot.coordinates });
+  }
+
+  route.stops.forEach(stop => {
+    waypoints.push({ kind: 'stop', role: 'stop', label: stopLabel(stop), coordinates: stop.coordinates || null, stop });
+  });
+
+  if (depot.coordinates && route.returnToDepot) {
+    waypoints.push({ kind: 'depot', role: 'end', label: `End: ${depotLabel}`, coordinates: depot.coordinates });
+  }
+
+  return waypoints;
+}
+
+function toGeoJSON(routes) {
+  const features = [];
+
+  routes.forEach(route => {
+    const waypoints = routeWaypoints(route);
+
+    waypoints.forEach(waypoint => {
+      const properties = { route: route.name, type: waypoint.kind, role: waypoint.role, label: waypoint.label };
+      if (waypoint.stop) {
+        properties.orderId = waypoint.stop.orderId !== undefined ? waypoint.stop.orderId : waypoint.stop.id;
+        properties.routeOrder = waypoint.stop.routeOrder;
+        properties.basketNo = waypoint.stop.basketNo;
+        properties.shopName = waypoint.stop.shopName;
+        properties.postcode = waypoint.stop.customerPostcode;
+      }
+
+      features.push({
+        type: 'Feature',
+        // Unlocated stops stay in the export with a null geometry, as GeoJSON allows
+        geometry: waypoint.coordinates
+          ? { type: 'Point', coordinates: [waypoint.coordinates.lng, waypoint.coordinates.lat] }
+          : null,
+        properties
+      });
+    });
+
+    const line = waypoints.filter(waypoint => waypoint.coordinates);
+    if (line.length > 1) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: line.map(waypoint => [waypoint.coordinates.lng, waypoint.coordinates.lat]) },
+        properties: { route: route.name, type: 'route' }
+      });
+    }
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+function toGPX(routes) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="MagicRoute" xmlns="http://www.topografix.com/GPX/1/1">'
+  ];
+
+  routes.forEach(route => {
+    const waypoints = routeWaypoints(route).filter(waypoint => waypoint.coordinates);
+
+    // Standalone waypoints so devices without route support still get the stops
+    waypoints.filter(waypoint => waypoint.role !== 'end').forEach(waypoint => {
+      lines.push(`  <wpt lat="${waypoint.coordinates.lat}" lon="${waypoint.coordinates.lng}">`);
+      lines.push(`    <name>${escapeXml(waypoint.label)}</name>`);
+      lines.push(`    <type>${waypoint.kind}</type>`);
+      lines.push('  </wpt>');
+    });
+
+    lines.push('  <rte>');
+    lines.push(`    <name>${escapeXml(route.name)}</name>`);
+    waypoints.forEach(waypoint => {
+      lines.push(`    <rtept lat="${waypoint.coordinates.lat}" lon="${waypoint.coordinates.lng}">`);
+      lines.push(`      <name>${escapeXml(waypoint.label)}</name>`);
+      lines.push('    </rtept>');
+    });
+    lines.push('  </rte>');
+  });
+
+  lines.push('</gpx>');
+  return lines.join('\n');
+}
+
+function toKML(routes) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>MagicRoute</name>'
+  ];
+
+  routes.forEach(route => {
+    const waypoints = routeWaypoints(route).filter(waypoint => waypoint.coordinates);
+
+    lines.push('    <Folder>');
+    lines.push(`      <name>${escapeXml(route.name)}</name>`);
+    waypoints.forEach(waypoint => {
+      lines.push('      <Placemark>');
+      lines.push(`        <name>${escapeXml(waypoint.label)}</name>`);
+      lines.push(`        <Point><coordinates>${waypoint.coordinates.lng},${waypoint.coordinates.lat},0</coordinates></Point>`);
+      lines.push('      </Placemark>');
+    });
+
+    if (waypoints.length > 1) {
+      lines.push('      <Placemark>');
+      lines.push(`        <name>${escapeXml(route.name)}</name>`);
+      lines.push('        <LineString><tessellate>1</tessellate><coordinates>');
+      lines.push(`          ${waypoints.map(waypoint => `${waypoint.coordinates.lng},${waypoint.coordinates.lat},0`).join(' ')}`);
+      lines.push('        </coordinates></LineString>');
+      lines.push('      </Placemark>');
+    }
+    lines.push('    </Folder>');
+  });
+
+  lines.push('  </Document>');
+  lines.push('</kml>');
+  return lines.join('\n');
+}
+
+const EXPORTERS = {
+  geojson: toGeoJSON,
+  gpx: toGPX,
+  kml: toKML
+};
+
+function exportRoutes(routes, format) {
+  if (!Object.prototype.hasOwnProperty.call(EXPORTERS, format)) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return EXPORTERS[format](routes);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportRoutes,
+  toGeoJSON,
+  toGPX,
+  toKML
+};
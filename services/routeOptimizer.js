@@ -0,0 +1,471 @@
+// Route optimisation over a precomputed distance matrix.
+// Node 0 is always the depot, stops are nodes 1..n. A tour is built with
+// nearest-neighbour construction and then improved with 2-opt and Or-opt moves.
+
+const EPSILON = 1e-9;
+const MAX_PASSES = 100;
+const MAX_SEGMENT_LENGTH = 3;
+// Time-window search limits: each route stops improving after this long, and the clock
+// is read once per this many candidate moves
+const TIME_WINDOW_SEARCH_MS = 1000;
+const DEADLINE_CHECK_INTERVAL = 256;
+
+// Open routes end at a virtual node that is zero distance from everything,
+// so the same local search works whether or not the van returns to the depot.
+function createCostFunction(matrix) {
+  const virtualEnd = matrix.length;
+  return {
+    virtualEnd,
+    cost: (from, to) => (from === virtualEnd || to === virtualEnd) ? 0 : matrix[from][to]
+  };
+}
+
+function pathCost(path, cost, start = 0, end = path.length - 1) {
+  let total = 0;
+  for (let i = start; i < end; i++) {
+    total += cost(path[i], path[i + 1]);
+  }
+  return total;
+}
+
+function reversedPathCost(path, cost, start, end) {
+  let total = 0;
+  for (let i = start; i < end; i++) {
+    total += cost(path[i + 1], path[i]);
+  }
+  return total;
+}
+
+function nearestNeighbour(matrix) {
+  const unvisited = new Set();
+  for (let i = 1; i < matrix.length; i++) {
+    unvisited.add(i);
+  }
+
+  const sequence = [];
+  let current = 0;
+  while (unvisited.size > 0) {
+    let nearest = null;
+    unvisited.forEach(candidate => {
+      if (nearest === null || matrix[current][candidate] < matrix[current][nearest]) {
+        nearest = candidate;
+      }
+    });
+    sequence.push(nearest);
+    unvisited.delete(nearest);
+    current = nearest;
+  }
+
+  return sequence;
+}
+
+// Reverse path[i..k] whenever that shortens the route. First and last nodes stay fixed.
+function twoOpt(path, cost) {
+  let improved = false;
+
+  for (let i = 1; i < path.length - 2; i++) {
+    for (let k = i + 1; k < path.length - 1; k++) {
+      const before = cost(path[i - 1], path[i]) + pathCost(path, cost, i, k) + cost(path[k], path[k + 1]);
+      const after = cost(path[i - 1], path[k]) + reversedPathCost(path, cost, i, k) + cost(path[i], path[k + 1]);
+
+      if (after < before - EPSILON) {
+        const reversed = path.slice(i, k + 1).reverse();
+        path.splice(i, reversed.length, ...reversed);
+        improved = true;
+      }
+    }
+  }
+
+  return improved;
+}
+
+// Move a run of up to three consecutive stops to a better position, optionally reversed.
+function orOpt(path, cost) {
+  for (let length = 1; length <= MAX_SEGMENT_LENGTH; length++) {
+    for (let i = 1; i + length < path.length; i++) {
+      const segment = path.slice(i, i + length);
+      const first = segment[0];
+      const last = segment[segment.length - 1];
+      const removalGain = cost(path[i - 1], first) + cost(last, path[i + length]) - cost(path[i - 1], path[i + length]);
+      const internalForward = pathCost(segment, cost);
+      const internalReversed = reversedPathCost(segment, cost, 0, segment.length - 1);
+      const rest = path.slice(0, i).concat(path.slice(i + length));
+
+      for (let j = 0; j < rest.length - 1; j++) {
+        if (j === i - 1) continue;
+
+        const forwardDelta = cost(rest[j], first) + cost(last, rest[j + 1]) - removalGain;
+        const reversedDelta = cost(rest[j], last) + cost(first, rest[j + 1]) + internalReversed - internalForward - removalGain;
+
+        if (forwardDelta < -EPSILON || reversedDelta < -EPSILON) {
+          const moved = reversedDelta < forwardDelta ? segment.slice().reverse() : segment;
+          path.splice(0, path.length, ...rest.slice(0, j + 1), ...moved, ...rest.slice(j + 1));
+          return true;
+        }
+      }
+    }
+  }
+
+  return false;
+}
+
+// Total distance of a stop sequence, starting at the depot
+function sequenceDistance(matrix, sequence, returnToDepot = false) {
+  const { virtualEnd, cost } = createCostFunction(matrix);
+  return pathCost([0, ...sequence, returnToDepot ? 0 : virtualEnd], cost);
+}
+
+// Returns the optimised stop sequence (matrix indices 1..n) and its total distance
+function optimizeRoute(matrix, { returnToDepot = false } = {}) {
+  if (matrix.length <= 1) {
+    return { sequence: [], distance: 0 };
+  }
+
+  const { virtualEnd, cost } = createCostFunction(matrix);
+  const path = [0, ...nearestNeighbour(matrix), returnToDepot ? 0 : virtualEnd];
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const improvedByTwoOpt = twoOpt(path, cost);
+    const improvedByOrOpt = orOpt(path, cost);
+    if (!improvedByTwoOpt && !improvedByOrOpt) break;
+  }
+
+  const sequence = path.slice(1, -1);
+  return { sequence, distance: pathCost(path, cost) };
+}
+
+// Walk a stop sequence in time. All times are minutes since midnight; windows[i] is
+// { start, end } or null, durationMatrix is travel minutes, serviceTimes[i] minutes on site.
+// A van that arrives early waits for the window to open; arriving after it closes is late.
+function scheduleSequence(sequence, { durationMatrix, windows = [], serviceTimes = [], departureTime, returnToDepot = false }) {
+  const stops = [];
+  let time = departureTime;
+  let previous = 0;
+  let lateStops = 0;
+  let totalLateness = 0;
+
+  sequence.forEach(stop => {
+    const arrival = time + durationMatrix[previous][stop];
+    const window = windows[stop];
+    const serviceStart = window ? Math.max(arrival, window.start) : arrival;
+    const lateMinutes = window ? Math.max(serviceStart - window.end, 0) : 0;
+
+    if (lateMinutes > EPSILON) {
+      lateStops++;
+      totalLateness += lateMinutes;
+    }
+
+    time = serviceStart + (serviceTimes[stop] || 0);
+    stops.push({ stop, arrival, serviceStart, departure: time, waitMinutes: serviceStart - arrival, lateMinutes });
+    previous = stop;
+  });
+
+  const finishTime = returnToDepot && sequence.length > 0 ? time + durationMatrix[previous][0] : time;
+  return { stops, lateStops, totalLateness, finishTime };
+}
+
+// Fewest late stops first, then least total lateness, then shortest distance
+function isBetterSchedule(candidate, best) {
+  if (candidate.lateStops !== best.lateStops) return candidate.lateStops < best.lateStops;
+  if (Math.abs(candidate.totalLateness - best.totalLateness) > EPSILON) return candidate.totalLateness < best.totalLateness;
+  return candidate.distance < best.distance - EPSILON;
+}
+
+// Visit one more stop: the running totals scheduleSequence keeps, plus distance driven
+function advanceSchedule(state, stop, matrix, { durationMatrix, windows = [], serviceTimes = [] }) {
+  const arrival = state.time + durationMatrix[state.previous][stop];
+  const window = windows[stop];
+  const serviceStart = window ? Math.max(arrival, window.start) : arrival;
+  const lateMinutes = window ? serviceStart - window.end : 0;
+
+  if (lateMinutes > EPSILON) {
+    state.lateStops++;
+    state.totalLateness += lateMinutes;
+  }
+  state.distance += matrix[state.previous][stop];
+  state.time = serviceStart + (serviceTimes[stop] || 0);
+  state.previous = stop;
+}
+
+// prefix[p] is the schedule state just before sequence[p] is visited, so a candidate that
+// keeps the first p stops only needs scoring from there on
+function schedulePrefix(sequence, matrix, options) {
+  const state = { time: options.departureTime, previous: 0, lateStops: 0, totalLateness: 0, distance: 0 };
+  const prefix = [{ ...state }];
+  sequence.forEach(stop => {
+    advanceSchedule(state, stop, matrix, options);
+    prefix.push({ ...state });
+  });
+  return prefix;
+}
+
+// Score moving sequence[i..i+length) to position j (counted once the run is taken out),
+// continuing from the prefix state at the first changed position. The moved sequence is
+// read as three ranges of the original instead of being built. Scoring gives up as soon
+// as the move can no longer beat `bound`, since lateness only grows further along.
+function scoreMove(sequence, i, length, j, prefix, matrix, options, bound) {
+  const { durationMatrix, windows = [], serviceTimes = [], returnToDepot = false } = options;
+  const ranges = j < i
+    ? [i, i + length, j, i, i + length, sequence.length]
+    : [i + length, j + length, i, i + length, j + length, sequence.length];
+  const state = prefix[Math.min(i, j)];
+  let { time, previous, lateStops, totalLateness, distance } = state;
+
+  for (let r = 0; r < ranges.length; r += 2) {
+    for (let p = ranges[r]; p < ranges[r + 1]; p++) {
+      const stop = sequence[p];
+      const arrival = time + durationMatrix[previous][stop];
+      const window = windows[stop];
+      const serviceStart = window && arrival < window.start ? window.start : arrival;
+      const lateMinutes = window ? serviceStart - window.end : 0;
+
+      if (lateMinutes > EPSILON) {
+        lateStops++;
+        totalLateness += lateMinutes;
+        if (lateStops > bound.lateStops ||
+            (lateStops === bound.lateStops && totalLateness > bound.totalLateness + EPSILON)) {
+          return null;
+        }
+      }
+      distance += matrix[previous][stop];
+      time = serviceStart + (serviceTimes[stop] || 0);
+      previous = stop;
+    }
+  }
+  if (returnToDepot) {
+    distance += matrix[previous][0];
+  }
+  return { lateStops, totalLateness, distance };
+}
+
+function moveStops(sequence, i, length, j) {
+  const segment = sequence.slice(i, i + length);
+  const rest = sequence.slice(0, i).concat(sequence.slice(i + length));
+  return [...rest.slice(0, j), ...segment, ...rest.slice(j)];
+}
+
+// Optimise a route that has to respect delivery windows. Starts from both the
+// distance-optimal tour and an earliest-deadline-first ordering, then relocates
+// runs of up to three stops while that reduces lateness or distance. Each move is
+// scored from the first position it changes. The search stops improving at
+// `deadline` (a Date.now() timestamp, by default TIME_WINDOW_SEARCH_MS from the call)
+// and returns the best route found so far.
+function optimizeRouteWithTimeWindows(matrix, options) {
+  const { windows = [], returnToDepot = false, deadline = Date.now() + TIME_WINDOW_SEARCH_MS } = options;
+  if (matrix.length <= 1) {
+    return { sequence: [], distance: 0, schedule: scheduleSequence([], options) };
+  }
+
+  const score = sequence => {
+    const prefix = schedulePrefix(sequence, matrix, options);
+    const state = { ...prefix[sequence.length] };
+    if (returnToDepot) {
+      state.distance += matrix[state.previous][0];
+    }
+    return state;
+  };
+  const stopDeadline = stop => windows[stop] ? windows[stop].end : Infinity;
+  const { sequence: shortest } = optimizeRoute(matrix, { returnToDepot });
+  const earliestDeadline = shortest.slice().sort((a, b) => stopDeadline(a) - stopDeadline(b));
+
+  let evaluations = 0;
+  let outOfTime = false;
+  const timeUp = () => {
+    // Checking the clock on every move would cost more than the move itself
+    if (!outOfTime && ++evaluations % DEADLINE_CHECK_INTERVAL === 0) {
+      outOfTime = Date.now() > deadline;
+    }
+    return outOfTime;
+  };
+
+  let best = null;
+  [shortest, earliestDeadline].forEach(initial => {
+    let sequence = initial;
+    let current = score(sequence);
+
+    for (let pass = 0; pass < MAX_PASSES && !outOfTime; pass++) {
+      const prefix = schedulePrefix(sequence, matrix, options);
+      let improved = false;
+
+      for (let length = 1; length <= MAX_SEGMENT_LENGTH && !improved && !outOfTime; length++) {
+        for (let i = 0; i + length <= sequence.length && !improved && !outOfTime; i++) {
+          for (let j = 0; j <= sequence.length - length && !improved; j++) {
+            if (j === i) continue;
+            if (timeUp()) break;
+
+            const candidate = scoreMove(sequence, i, length, j, prefix, matrix, options, current);
+            if (candidate && isBetterSchedule(candidate, current)) {
+              sequence = moveStops(sequence, i, length, j);
+              current = candidate;
+              improved = true;
+            }
+          }
+        }
+      }
+
+      if (!improved) break;
+    }
+
+    if (!best || isBetterSchedule(current, best)) {
+      best = { sequence, ...current };
+    }
+  });
+
+  return {
+    sequence: best.sequence,
+    distance: sequenceDistance(matrix, best.sequence, returnToDepot),
+    schedule: scheduleSequence(best.sequence, options)
+  };
+}
+
+// Capacity dimensions a vehicle can be limited on. A missing limit means unlimited.
+const CAPACITY_DIMENSIONS = ['baskets', 'orderValue', 'weight'];
+const MAX_SWEEP_STARTS = 24;
+// Scheduling every route is far slower, so fewer starts are tried with time windows and the
+// whole plan shares a time budget. Routes solved after the budget is spent still get a
+// short search each.
+const MAX_SWEEP_STARTS_WITH_WINDOWS = 6;
+const PLAN_SEARCH_MS = 2000;
+const MIN_ROUTE_SEARCH_MS = 100;
+
+function emptyLoad() {
+  return { baskets: 0, orderValue: 0, weight: 0 };
+}
+
+function fitsCapacity(load, demand, capacity = {}) {
+  return CAPACITY_DIMENSIONS.every(dimension => {
+    const limit = capacity[dimension];
+    return limit === undefined || limit === null || load[dimension] + (demand[dimension] || 0) <= limit + EPSILON;
+  });
+}
+
+function addLoad(load, demand) {
+  CAPACITY_DIMENSIONS.forEach(dimension => {
+    load[dimension] += demand[dimension] || 0;
+  });
+}
+
+// Sweep assignment: stops ordered by bearing from the depot fill each vehicle in turn, so
+// each vehicle gets a sector. A vehicle takes at most an equal share of the stops, which
+// spreads the work when capacity limits alone would leave everything on the first one.
+// Stops that no longer fit the current vehicle go to the first vehicle with room left.
+function sweepAssignment(stops, demands, vehicles) {
+  const assignments = vehicles.map(() => ({ stops: [], load: emptyLoad() }));
+  const unassigned = [];
+  const assignable = stops.filter(stop => vehicles.some(vehicle => fitsCapacity(emptyLoad(), demands[stop], vehicle.capacity)));
+  const share = Math.ceil(assignable.length / vehicles.length);
+  let current = 0;
+
+  stops.forEach(stop => {
+    const demand = demands[stop];
+
+    if (!vehicles.some(vehicle => fitsCapacity(emptyLoad(), demand, vehicle.capacity))) {
+      unassigned.push(stop);
+      return;
+    }
+
+    while (current < vehicles.length &&
+        (assignments[current].stops.length >= share || !fitsCapacity(assignments[current].load, demand, vehicles[current].capacity))) {
+      current++;
+    }
+
+    const target = current < vehicles.length
+      ? current
+      : assignments.findIndex((assignment, index) => fitsCapacity(assignment.load, demand, vehicles[index].capacity));
+
+    if (target === -1) {
+      unassigned.push(stop);
+    } else {
+      assignments[target].stops.push(stop);
+      addLoad(assignments[target].load, demand);
+    }
+  });
+
+  return { assignments, unassigned };
+}
+
+function subMatrix(matrix, stops) {
+  const indices = [0, ...stops];
+  return indices.map(from => indices.map(to => matrix[from][to]));
+}
+
+// Solve one vehicle's stops, re-indexing the time window inputs to the sub-matrix
+function solveVehicleRoute(matrix, stops, { returnToDepot, timeWindows }) {
+  const sub = subMatrix(matrix, stops);
+
+  if (!timeWindows) {
+    const { sequence, distance } = optimizeRoute(sub, { returnToDepot });
+    return { sequence: sequence.map(index => stops[index - 1]), distance, schedule: null };
+  }
+
+  const indices = [0, ...stops];
+  const { sequence, distance, schedule } = optimizeRouteWithTimeWindows(sub, {
+    ...timeWindows,
+    returnToDepot,
+    durationMatrix: subMatrix(timeWindows.durationMatrix, stops),
+    windows: indices.map(index => timeWindows.windows[index] || null),
+    serviceTimes: indices.map(index => timeWindows.serviceTimes[index] || 0)
+  });
+
+  return {
+    sequence: sequence.map(index => stops[index - 1]),
+    distance,
+    schedule: {
+      ...schedule,
+      stops: schedule.stops.map(entry => ({ ...entry, stop: stops[entry.stop - 1] }))
+    }
+  };
+}
+
+// Split stops across capacity-limited vehicles and optimise each vehicle's route.
+// `bearings` and `demands` are indexed like the matrix (index 0, the depot, is unused).
+// Several sweep start angles are tried (fewer, within PLAN_SEARCH_MS, with time windows);
+// the plan leaving fewest stops unassigned, then with the shortest total distance, wins. Routes are returned in the order of `vehicles`.
+// Pass `timeWindows` (the optimizeRouteWithTimeWindows options) to schedule each route.
+function planVehicleRoutes(matrix, { bearings, demands, vehicles, returnToDepot = false, timeWindows = null }) {
+  const stops = [];
+  for (let i = 1; i < matrix.length; i++) {
+    stops.push(i);
+  }
+  stops.sort((a, b) => bearings[a] - bearings[b]);
+
+  const startCount = Math.min(stops.length, timeWindows ? MAX_SWEEP_STARTS_WITH_WINDOWS : MAX_SWEEP_STARTS) || 1;
+  const planDeadline = Date.now() + PLAN_SEARCH_MS;
+  let best = null;
+
+  for (let attempt = 0; attempt < startCount; attempt++) {
+    if (timeWindows && best && Date.now() > planDeadline) {
+      break;
+    }
+    const offset = Math.floor(attempt * stops.length / startCount);
+    const rotated = stops.slice(offset).concat(stops.slice(0, offset));
+    const { assignments, unassigned } = sweepAssignment(rotated, demands, vehicles);
+
+    const routes = assignments.map(assignment => ({
+      ...solveVehicleRoute(matrix, assignment.stops, {
+        returnToDepot,
+        timeWindows: timeWindows && { ...timeWindows, deadline: Math.max(planDeadline, Date.now() + MIN_ROUTE_SEARCH_MS) }
+      }),
+      load: assignment.load
+    }));
+    const totalDistance = routes.reduce((sum, route) => sum + route.distance, 0);
+
+    if (!best ||
+        unassigned.length < best.unassigned.length ||
+        (unassigned.length === best.unassigned.length && totalDistance < best.totalDistance - EPSILON)) {
+      best = { routes, unassigned, totalDistance };
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  optimizeRoute,
+  optimizeRouteWithTimeWindows,
+  scheduleSequence,
+  sequenceDistance,
+  nearestNeighbour,
+  planVehicleRoutes,
+  CAPACITY_DIMENSIONS
+};
@@ -0,0 +1,194 @@
+const zlib = require('zlib');
+
+// Spreadsheet readers for bulk imports. Both return rows as arrays of cell strings in
+// sheet order, header row first. Blank rows are kept, so index + 1 is the row number
+// the user sees in their spreadsheet.
+
+// RFC 4180 CSV: quoted fields may hold commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.map(cells => cells.map(cell => cell.trim()));
+}
+
+// Files in a ZIP archive by name, read through the central directory. XLSX files are
+// plain ZIPs with stored or deflated entries, so ZIP64 and encryption are not handled.
+function readZipEntries(buffer) {
+  let endOffset = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+
+  for (let index = 0; index < entryCount; index++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries[name] = () => {
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`Unsupported ZIP compression method ${method}`);
+    };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+// Text of every <t> run inside a shared string or inline string
+function xmlText(xml) {
+  return decodeXml([...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(match => match[1]).join(''));
+}
+
+function xmlAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+// "AB12" -> 27 (zero-based column of the cell reference)
+function columnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/)[0];
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Rows of one worksheet (the first one unless `sheet` names another). Cells come back as
+// they are stored: numbers and dates as their raw numeric value, booleans as "TRUE"/"FALSE".
+function readXlsx(buffer, { sheet } = {}) {
+  const entries = readZipEntries(buffer);
+  const readXml = name => (entries[name] ? entries[name]().toString('utf8') : null);
+
+  const workbook = readXml('xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('Not an XLSX workbook');
+  }
+
+  const sheets = [...workbook.matchAll(/<sheet\b([^>]*)\/?>/g)].map(match => ({
+    name: xmlAttribute(match[1], 'name'),
+    relationId: xmlAttribute(match[1], 'r:id')
+  }));
+  const chosen = sheet ? sheets.find(candidate => candidate.name === sheet) : sheets[0];
+  if (!chosen) {
+    throw new Error(sheet ? `Sheet "${sheet}" not found` : 'Workbook has no sheets');
+  }
+
+  const relations = readXml('xl/_rels/workbook.xml.rels') || '';
+  const relation = [...relations.matchAll(/<Relationship\b([^>]*)\/?>/g)]
+    .map(match => match[1])
+    .find(attributes => xmlAttribute(attributes, 'Id') === chosen.relationId);
+  const target = relation ? xmlAttribute(relation, 'Target') : null;
+  const sheetPath = target ? (target.startsWith('/') ? target.slice(1) : `xl/${target}`) : null;
+  const sheetXml = sheetPath ? readXml(sheetPath) : null;
+  if (!sheetXml) {
+    throw new Error(`Sheet "${chosen.name}" could not be read`);
+  }
+
+  const sharedStringsXml = readXml('xl/sharedStrings.xml') || '';
+  const sharedStrings = [...sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => xmlText(match[1]));
+
+  const rows = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const cells = [];
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const reference = xmlAttribute(attributes, 'r');
+      const type = xmlAttribute(attributes, 't');
+      const rawValue = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = '';
+      if (type === 's') {
+        value = sharedStrings[parseInt(rawValue, 10)] || '';
+      } else if (type === 'inlineStr') {
+        value = xmlText(content);
+      } else if (type === 'b') {
+        value = rawValue === '1' ? 'TRUE' : 'FALSE';
+      } else if (rawValue !== undefined) {
+        value = decodeXml(rawValue);
+      }
+
+      cells[reference ? columnIndex(reference) : cells.length] = value.trim();
+    }
+    const rowNumber = parseInt(xmlAttribute(rowMatch[1], 'r'), 10) || rows.length + 1;
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows[rowNumber - 1] = Array.from(cells, cell => cell || '');
+  }
+
+  return rows;
+}
+
+// Excel stores dates as days since 1899-12-30 -> "YYYY-MM-DD"
+function excelSerialToDate(serial) {
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.round(Number(serial)) * 86400000);
+  return date.toISOString().split('T')[0];
+}
+
+module.exports = {
+  parseCsv,
+  readXlsx,
+  excelSerialToDate
+};
@@ -0,0 +1,95 @@
+// UK postcode validation and address clean-up for order and customer writes.
+
+// Outward code (area + district, optional sub-district letter) and inward code
+// (sector digit + unit letters), following the Royal Mail format rules
+const OUTWARD_PATTERN = '[A-PR-UWYZ](?:\\d{1,2}|[A-HK-Y]\\d{1,2}|\\d[A-HJKPSTUW]|[A-HK-Y]\\d[ABEHMNPRV-Y])';
+const INWARD_PATTERN = '\\d[ABD-HJLNP-UW-Z]{2}';
+const POSTCODE_PATTERN = new RegExp(`^(${OUTWARD_PATTERN})(${INWARD_PATTERN})$`);
+
+// "bh8 8sn" -> { postcode: 'BH8 8SN', outward: 'BH8', inward: '8SN', area: 'BH', district: 'BH8' }
+// Returns null when the value is not a valid UK postcode.
+function parseUkPostcode(value) {
+  const compact = String(value || '').replace(/\s+/g, '').toUpperCase();
+
+  // Girobank's non-geographic postcode is the one exception to the format rules
+  const match = compact === 'GIR0AA' ? [compact, 'GIR', '0AA'] : compact.match(POSTCODE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, outward, inward] = match;
+  return {
+    postcode: `${outward} ${inward}`,
+    outward,
+    inward,
+    area: outward.match(/^[A-Z]+/)[0],
+    district: outward
+  };
+}
+
+// "518 Christchurch Road , Boscombe " -> "518 Christchurch Road, Boscombe"
+function normalizeAddressLine(value) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*,\s*/g, ', ')
+    .replace(/(, )+/g, ', ')
+    .replace(/^[\s,]+|[\s,]+$/g, '');
+}
+
+// Town names also get title case when typed all in one case (" FERNDOWN" -> "Ferndown")
+function normalizePlaceName(value) {
+  const line = normalizeAddressLine(value);
+  if (line !== line.toUpperCase() && line !== line.toLowerCase()) {
+    return line;
+  }
+  return line.toLowerCase().replace(/(^|[\s-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+// Clean the address fields present in `input`. `fields` maps roles to field names, e.g.
+// { postcode: 'customerPostcode', address: 'customerAddress', city: 'city', text: ['shopName'] }.
+// Returns { values, postcodeParts, errors } where errors is keyed by field name.
+function normalizeAddressFields(input, fields) {
+  const values = {};
+  const errors = {};
+  let postcodeParts;
+
+  (fields.text || []).forEach(field => {
+    if (typeof input[field] === 'string') {
+      values[field] = input[field].replace(/\s+/g, ' ').trim();
+    }
+  });
+
+  if (fields.address && input[fields.address] !== undefined && input[fields.address] !== null) {
+    values[fields.address] = normalizeAddressLine(input[fields.address]);
+  }
+
+  if (fields.city && input[fields.city] !== undefined && input[fields.city] !== null) {
+    values[fields.city] = normalizePlaceName(input[fields.city]);
+  }
+
+  if (fields.postcode && input[fields.postcode] !== undefined && input[fields.postcode] !== null) {
+    const raw = String(input[fields.postcode]).trim();
+    const parsed = parseUkPostcode(raw);
+
+    if (parsed) {
+      values[fields.postcode] = parsed.postcode;
+      postcodeParts = { outward: parsed.outward, inward: parsed.inward, area: parsed.area, district: parsed.district };
+    } else if (raw) {
+      values[fields.postcode] = raw.replace(/\s+/g, ' ').toUpperCase();
+      postcodeParts = null;
+      errors[fields.postcode] = `"${raw}" is not a valid UK postcode`;
+    } else {
+      values[fields.postcode] = '';
+      postcodeParts = null;
+    }
+  }
+
+  return { values, postcodeParts, errors };
+}
+
+module.exports = {
+  parseUkPostcode,
+  normalizeAddressLine,
+  normalizePlaceName,
+  normalizeAddressFields
+};
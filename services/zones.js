@@ -0,0 +1,112 @@
+// Delivery zone matching. A zone covers an area through postcode prefixes and/or a
+// GeoJSON polygon:
+//   postcodePrefixes  area ("BH"), district ("BH12") or sector ("BH12 4") prefixes
+//   polygon           GeoJSON Polygon or MultiPolygon geometry (or a Feature wrapping one)
+
+const { parseUkPostcode } = require('./ukAddress');
+
+const PREFIX_PATTERN = /^[A-Z]{1,2}(\d[A-Z\d]?( \d)?)?$/;
+
+function normalizePrefix(prefix) {
+  return String(prefix || '').trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+function isValidPrefix(prefix) {
+  return PREFIX_PATTERN.test(normalizePrefix(prefix));
+}
+
+function polygonGeometry(polygon) {
+  return polygon && polygon.type === 'Feature' ? polygon.geometry : polygon;
+}
+
+function isValidPolygon(polygon) {
+  const geometry = polygonGeometry(polygon);
+  if (!geometry || !Array.isArray(geometry.coordinates)) {
+    return false;
+  }
+
+  const isRing = ring => Array.isArray(ring) && ring.length >= 4 &&
+    ring.every(position => Array.isArray(position) && typeof position[0] === 'number' && typeof position[1] === 'number');
+  const isPolygon = rings => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+  if (geometry.type === 'Polygon') {
+    return isPolygon(geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.length > 0 && geometry.coordinates.every(isPolygon);
+  }
+  return false;
+}
+
+// Ray casting on [lng, lat] positions
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > point.lat) !== (yj > point.lat) &&
+        point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// First ring is the outline, the rest are holes
+function pointInPolygonRings(point, rings) {
+  return pointInRing(point, rings[0]) && !rings.slice(1).some(hole => pointInRing(point, hole));
+}
+
+function pointInPolygon(point, polygon) {
+  const geometry = polygonGeometry(polygon);
+  if (!point || !geometry) {
+    return false;
+  }
+  if (geometry.type === 'Polygon') {
+    return pointInPolygonRings(point, geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(rings => pointInPolygonRings(point, rings));
+  }
+  return false;
+}
+
+// Length of the most specific prefix covering the postcode, 0 when none does
+function prefixMatchLength(postcode, prefixes) {
+  const parsed = parseUkPostcode(postcode);
+  if (!parsed) {
+    return 0;
+  }
+
+  const candidates = [parsed.area, parsed.district, `${parsed.district} ${parsed.inward[0]}`];
+  return (prefixes || []).map(normalizePrefix).reduce((best, prefix) =>
+    candidates.includes(prefix) && prefix.length > best ? prefix.length : best, 0);
+}
+
+// Zone for a delivery address. A polygon containing the point wins, otherwise the zone
+// with the most specific postcode prefix (so "BH12" beats "BH").
+function findZone(zones, { postcode, coordinates }) {
+  const byPolygon = coordinates ? zones.find(zone => zone.polygon && pointInPolygon(coordinates, zone.polygon)) : null;
+  if (byPolygon) {
+    return byPolygon;
+  }
+
+  let bestZone = null;
+  let bestLength = 0;
+  zones.forEach(zone => {
+    const length = prefixMatchLength(postcode, zone.postcodePrefixes);
+    if (length > bestLength) {
+      bestZone = zone;
+      bestLength = length;
+    }
+  });
+  return bestZone;
+}
+
+module.exports = {
+  normalizePrefix,
+  isValidPrefix,
+  isValidPolygon,
+  pointInPolygon,
+  findZone
+};